@@ -37,10 +37,24 @@ try {
 }
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const MusicGenerator = require('./src/musicGenerator');
 const VisualGenerator = require('./src/visualGenerator');
 const VideoRenderer = require('./src/videoRenderer');
+const AudioAnalyzer = require('./src/audioAnalyzer');
+const GenreRegistry = require('./src/genreRegistry');
+const Lyrics = require('./src/lyrics');
+const YouTubeMetadata = require('./src/youtubeMetadata');
+const ProjectConfig = require('./src/projectConfig');
+const EncoderProfiles = require('./src/encoderProfiles');
+const FormatPresets = require('./src/formatPresets');
+const PipelineManifest = require('./src/pipelineManifest');
+const SeededRandom = require('./src/random');
+const { PngFrameSink } = require('./src/frameSink');
+
+// Main visuals are rendered and recorded in parts of this many frames
+const MAIN_PART_FRAMES = 1800;
 
 /**
  * Main Music Video Generator
@@ -49,84 +63,416 @@ const VideoRenderer = require('./src/videoRenderer');
 
 class MusicVideoGenerator {
   constructor() {
-    this.musicGenerator = new MusicGenerator();
-    this.visualGenerator = new VisualGenerator();
-    this.videoRenderer = new VideoRenderer();
+    this.genreRegistry = new GenreRegistry();
+    this.musicGenerator = new MusicGenerator(this.genreRegistry);
+    this.audioAnalyzer = new AudioAnalyzer();
     this.outputDir = path.join(__dirname, 'output');
   }
 
+  /**
+   * Generate a music video from a project file
+   * @param {string} projectFile - Path to the project JSON file
+   * @param {Object} overrides - Settings that take precedence over the file (e.g. from the CLI)
+   */
+  async generateProject(projectFile, overrides = {}) {
+    const project = ProjectConfig.load(projectFile, this.genreRegistry);
+    const settings = this._mergeSettings(project, overrides);
+    return this.generate(settings.genre || 'electronic', settings.output || null, settings);
+  }
+
+  /**
+   * Continue an interrupted run, skipping every stage that already finished
+   * The run's settings are read back from its manifest.
+   * @param {string} outputName - Output name of the run to continue
+   * @param {Object} overrides - Settings that take precedence over the recorded ones
+   */
+  async resume(outputName, overrides = {}) {
+    const manifest = new PipelineManifest(path.join(this.outputDir, path.basename(outputName)));
+    if (!manifest.load() || !manifest.config) {
+      throw new Error(`No run to resume in ${manifest.projectDir}`);
+    }
+    const settings = this._mergeSettings(manifest.config, overrides);
+    return this.generate(settings.genre, outputName, { ...settings, resume: true });
+  }
+
   /**
    * Generate a complete music video
-   * @param {string} genre - Music genre (electronic, ambient, hiphop, pop, techno)
+   * @param {string} genre - Genre preset name (see listGenres)
    * @param {string} outputName - Name for the output file (without extension)
+   * @param {Object} options - Generation options; accepts every project file setting
+   * @param {number|string} options.seed - Seed for reproducible output (random if omitted)
+   * @param {string} options.audio - Existing track to use instead of generating music
+   * @param {string} options.midi - MIDI file to render with the genre's instruments instead of composing music
+   * @param {string} options.lyrics - Timed lyrics (.lrc or .srt) drawn on the video and added as a subtitle track
+   * @param {string} options.key - Key override for generated music ('C', 'F#', 'Bb', ...)
+   * @param {string} options.mode - Mode override for generated music ('major', 'minor', 'dorian', ...)
+   * @param {number} options.duration - Track length in seconds
+   * @param {number} options.tempo - Tempo override in BPM
+   * @param {boolean} options.stems - Also write one WAV per instrument to output/<name>_stems (generated music only)
+   * @param {Object} options.mastering - { enabled, lufs, truePeak, dither } for generated music (default: -14 LUFS, -1 dBTP, dithered)
+   * @param {string} options.format - Output format preset (youtube-1080p, youtube-4k, shorts-9x16, square-1x1, 60fps)
+   * @param {Object} options.resolution - { width, height, fps } overriding the format's values
+   * @param {Object} options.intro - { enabled, duration, template, title, artist, subtitle, cta, background, colors, font, titleFont }
+   * @param {Object} options.outro - Same fields as options.intro
+   * @param {string[]} options.layers - Visual layers to draw (visualizer, particles, geometry, lyrics)
+   * @param {Object} options.encoder - { preset, crf, audioBitrate, maxrate, bufsize }
+   * @param {string[]} options.profiles - Encoder profiles to write (h264-mp4, vp9-webm, prores-mov, gif, webp); the first video profile's file is returned
+   * @param {string} options.frameOutput - 'stream' (pipe frames into ffmpeg) or 'png' (keep PNG frames for debugging)
+   * @param {number} options.jobs - Worker threads for frame rendering (default: one per CPU core)
+   * @param {boolean} options.resume - Continue an earlier run of the same output name, skipping finished stages
    */
-  async generate(genre = 'electronic', outputName = null) {
-    console.log('='.repeat(60));
-    console.log('🎵 MUSIC VIDEO GENERATOR 🎬');
-    console.log('='.repeat(60));
-    console.log(`Genre: ${genre}`);
-    console.log('='.repeat(60));
-    console.log();
+  async generate(genre = 'electronic', outputName = null, options = {}) {
+    const { resume = false, ...settings } = options;
+    if (resume && !outputName) {
+      throw new Error('Resuming needs the output name of the run to continue');
+    }
+    if (settings.audio && settings.midi) {
+      throw new Error('Use either an audio file or a MIDI file, not both');
+    }
 
-    const startTime = Date.now();
-    
     // Setup output directories
     const timestamp = Date.now();
     // Sanitize outputName to prevent path traversal attacks
-    const sanitizedName = outputName ? path.basename(outputName) : `music_video_${genre}_${timestamp}`;
+    const sourceFile = settings.audio || settings.midi;
+    const defaultName = sourceFile
+      ? `music_video_${path.parse(sourceFile).name}_${timestamp}`
+      : `music_video_${genre}_${timestamp}`;
+    const sanitizedName = outputName ? path.basename(outputName) : defaultName;
     const projectDir = path.join(this.outputDir, sanitizedName);
     const framesDir = path.join(projectDir, 'frames');
     const introDir = path.join(projectDir, 'intro');
     const outroDir = path.join(projectDir, 'outro');
-    const audioPath = path.join(projectDir, 'audio.wav');
+    const segmentsDir = path.join(projectDir, 'segments');
+    const audioPath = settings.audio ? path.resolve(settings.audio) : path.join(projectDir, 'audio.wav');
     const videoPath = path.join(this.outputDir, `${sanitizedName}.mp4`);
+    const teaserPath = path.join(this.outputDir, `${sanitizedName}.teaser.gif`);
+    const configPath = path.join(this.outputDir, `${sanitizedName}.project.json`);
+    const stemsDir = path.join(this.outputDir, `${sanitizedName}_stems`);
+    const midiPath = path.join(this.outputDir, `${sanitizedName}.mid`);
+    const midiSource = settings.midi ? path.resolve(settings.midi) : null;
+    const chaptersPath = path.join(segmentsDir, 'chapters.txt');
+
+    // A resumed run picks up the seed of the run it continues
+    const manifest = new PipelineManifest(projectDir);
+    const resuming = resume && manifest.load();
+    const previousSeed = resuming && manifest.config ? manifest.config.seed : undefined;
+
+    const config = ProjectConfig.resolve({ ...settings, genre, output: sanitizedName });
+    if (settings.seed !== undefined) {
+      config.seed = SeededRandom.normalizeSeed(settings.seed);
+    } else {
+      config.seed = previousSeed !== undefined ? previousSeed : SeededRandom.generateSeed();
+    }
+    const { seed, resolution } = config;
+    const streamFrames = config.frameOutput !== 'png';
+    const lyricsSource = config.lyrics ? path.resolve(config.lyrics) : null;
+    const allLyrics = lyricsSource ? Lyrics.read(lyricsSource) : null;
+
+    const visualGenerator = new VisualGenerator(this.genreRegistry, {
+      ...resolution,
+      layers: config.layers,
+      jobs: config.jobs || os.cpus().length,
+      fonts: [config.intro, config.outro]
+        .filter(card => card.enabled)
+        .flatMap(card => ProjectConfig.CARD_FONTS.map(field => card[field]))
+        .filter(Boolean)
+    });
+    const videoRenderer = new VideoRenderer({ ...config.encoder, profiles: config.profiles });
+
+    console.log('='.repeat(60));
+    console.log('🎵 MUSIC VIDEO GENERATOR 🎬');
+    console.log('='.repeat(60));
+    console.log(`Genre: ${genre}`);
+    if (settings.audio) {
+      console.log(`Audio: ${settings.audio}`);
+    }
+    if (settings.midi) {
+      console.log(`MIDI: ${settings.midi}`);
+    }
+    if (allLyrics) {
+      console.log(`Lyrics: ${config.lyrics} (${allLyrics.lines.length} lines)`);
+    }
+    console.log(`Seed: ${seed}`);
+    console.log(`Format: ${config.format} (${resolution.width}x${resolution.height} @ ${resolution.fps}fps)`);
+    console.log(`Profiles: ${config.profiles.join(', ')}`);
+    if (resume) {
+      console.log(resuming ? `Resuming: ${projectDir}` : 'Resuming: no previous run found, starting fresh');
+    }
+    console.log('='.repeat(60));
+    console.log();
+
+    const startTime = Date.now();
 
     // Create directories
-    [projectDir, framesDir, introDir, outroDir].forEach(dir => {
+    const dirs = streamFrames
+      ? [projectDir, segmentsDir]
+      : [projectDir, segmentsDir, framesDir, config.intro.enabled && introDir, config.outro.enabled && outroDir];
+    dirs.filter(Boolean).forEach(dir => {
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
     });
 
+    if (resuming) {
+      manifest.updateConfig(config);
+    } else {
+      manifest.reset(config);
+    }
+
+    // Stage inputs shared by every frame-rendering stage (streamed frames are encoded right away)
+    const profiles = videoRenderer.videoProfileNames;
+    const encoding = {
+      resolution,
+      frameOutput: config.frameOutput,
+      encoder: streamFrames ? config.encoder : null,
+      profiles: streamFrames ? profiles : null
+    };
+
     try {
-      // Step 1: Generate music
-      console.log('STEP 1: Generating Music');
+      // Step 1: Generate music, or load the user's own track
+      const musicInputs = {
+        genre,
+        seed,
+        key: config.key,
+        mode: config.mode,
+        duration: config.duration,
+        tempo: config.tempo,
+        stems: config.stems,
+        mastering: settings.audio ? null : config.mastering,
+        audio: settings.audio ? this._fileFingerprint(audioPath) : null,
+        midi: midiSource ? this._fileFingerprint(midiSource) : null
+      };
+      const musicMetadata = await this._runStage(manifest, 'music', musicInputs, async () => {
+        let metadata;
+        if (settings.audio) {
+          console.log('STEP 1: Loading Audio');
+          console.log('-'.repeat(60));
+          metadata = await this.musicGenerator.loadAudio(genre, audioPath, { seed });
+          console.log(`✓ Audio loaded: ${metadata.duration.toFixed(2)}s at ~${metadata.tempo} BPM`);
+          if (config.stems) {
+            console.log('  Stems are only available for generated music, skipping them');
+          }
+        } else if (midiSource) {
+          console.log('STEP 1: Rendering MIDI');
+          console.log('-'.repeat(60));
+          metadata = await this.musicGenerator.importMidi(genre, midiSource, audioPath, {
+            seed,
+            duration: config.duration,
+            stemsDir: config.stems ? stemsDir : undefined,
+            mastering: config.mastering
+          });
+          const tempoText = metadata.tempoMap.length > 1 ? `${metadata.tempoMap.length} tempos from ${metadata.tempo}` : metadata.tempo;
+          console.log(`✓ MIDI rendered: ${metadata.duration}s at ${tempoText} BPM`);
+          if (metadata.stems) {
+            console.log(`✓ Stems written: ${stemsDir} (${Object.keys(metadata.stems).join(', ')})`);
+          }
+        } else {
+          console.log('STEP 1: Generating Music');
+          console.log('-'.repeat(60));
+          metadata = await this.musicGenerator.generateMusic(genre, audioPath, {
+            seed,
+            key: config.key,
+            mode: config.mode,
+            duration: config.duration,
+            tempo: config.tempo,
+            stemsDir: config.stems ? stemsDir : undefined,
+            midiPath,
+            mastering: config.mastering
+          });
+          console.log(`✓ Music generated: ${metadata.duration}s at ${metadata.tempo} BPM in ${metadata.key} ${metadata.mode}`);
+          if (metadata.stems) {
+            console.log(`✓ Stems written: ${stemsDir} (${Object.keys(metadata.stems).join(', ')})`);
+          }
+        }
+        const stemFiles = Object.values(metadata.stems || {});
+        const outputs = settings.audio ? [] : [audioPath, ...(metadata.midiPath ? [metadata.midiPath] : []), ...stemFiles];
+        return { outputs, data: metadata };
+      });
+      const musicHash = manifest.fingerprint('music');
+      const lyrics = allLyrics ? allLyrics.clip(musicMetadata.duration) : null;
+      const lyricsHash = lyricsSource ? this._fileFingerprint(lyricsSource) : null;
+
+      // Save the resolved configuration (with the actual duration, tempo and key) next to the output
+      ProjectConfig.save({
+        ...config,
+        // Project files hold whole seconds; your own audio keeps its exact length regardless
+        duration: Math.ceil(musicMetadata.duration),
+        tempo: musicMetadata.tempo,
+        key: musicMetadata.key,
+        mode: musicMetadata.mode
+      }, configPath);
+      console.log(`✓ Configuration saved: ${configPath}`);
+      console.log();
+
+      // Step 2: Analyze the rendered audio for audio-reactive visuals
+      console.log('STEP 2: Analyzing Audio');
       console.log('-'.repeat(60));
-      const musicMetadata = await this.musicGenerator.generateMusic(genre, audioPath);
-      console.log(`✓ Music generated: ${musicMetadata.duration}s at ${musicMetadata.tempo} BPM`);
+      const audioAnalysis = await this.audioAnalyzer.analyze(audioPath, {
+        fps: resolution.fps,
+        duration: musicMetadata.duration
+      });
+      console.log(`✓ Audio analyzed: ${audioAnalysis.frameCount} frames`);
       console.log();
 
-      // Step 2: Generate intro visuals
-      console.log('STEP 2: Generating Intro');
+      // Step 3: Generate intro visuals
+      console.log('STEP 3: Generating Intro');
       console.log('-'.repeat(60));
-      const introMetadata = await this.visualGenerator.generateIntro(genre, introDir, 3);
-      console.log(`✓ Intro generated: ${introMetadata.frameCount} frames`);
+      let introMetadata = null;
+      if (config.intro.enabled) {
+        introMetadata = await this._runStage(manifest, 'intro', { genre, seed, ...encoding, intro: config.intro }, async () => {
+          const output = streamFrames
+            ? videoRenderer.createFrameSink(path.join(segmentsDir, 'intro.mp4'), resolution)
+            : introDir;
+          const metadata = await visualGenerator.generateIntro(genre, output, config.intro.duration, config.intro, seed);
+          console.log(`✓ Intro generated: ${metadata.frameCount} frames`);
+          return { outputs: this._stageOutputs(metadata, 'intro', 0, metadata.frameCount), data: metadata };
+        });
+      } else {
+        console.log('✓ Intro disabled');
+      }
       console.log();
 
-      // Step 3: Generate main visuals
-      console.log('STEP 3: Generating Main Visuals');
+      // Step 4: Generate main visuals, in parts so an interrupted run only repeats the unfinished part
+      console.log('STEP 4: Generating Main Visuals');
       console.log('-'.repeat(60));
-      const visualMetadata = await this.visualGenerator.generateVisuals(musicMetadata, framesDir);
+      // Round up so a track that ends mid-frame (your own audio) is muxed to its last sample
+      const totalFrames = Math.ceil(musicMetadata.duration * resolution.fps);
+      if (totalFrames === 0) {
+        throw new Error(`The music is too short for a video (${musicMetadata.duration}s, not a single frame at ${resolution.fps} fps)`);
+      }
+      const mainParts = [];
+      for (let start = 0; start < totalFrames; start += MAIN_PART_FRAMES) {
+        const end = Math.min(start + MAIN_PART_FRAMES, totalFrames);
+        const stage = `main:${String(mainParts.length).padStart(3, '0')}`;
+        const partInputs = { music: musicHash, lyrics: lyricsHash, ...encoding, layers: config.layers, start, end };
+        const partMetadata = await this._runStage(manifest, stage, partInputs, async () => {
+          const output = streamFrames
+            ? videoRenderer.createFrameSink(path.join(segmentsDir, `main_part_${String(mainParts.length).padStart(3, '0')}.mp4`), {
+              ...resolution,
+              firstFrame: start,
+              videoOnly: true
+            })
+            : framesDir;
+          const metadata = await visualGenerator.generateVisuals(musicMetadata, output, audioAnalysis, { start, end }, lyrics);
+          return { outputs: this._stageOutputs(metadata, 'frame', start, end), data: metadata };
+        });
+        mainParts.push({ stage, metadata: partMetadata });
+      }
+      const visualMetadata = { ...mainParts[0].metadata, startFrame: 0, endFrame: totalFrames };
       console.log(`✓ Visuals generated: ${visualMetadata.frameCount} frames`);
       console.log();
 
-      // Step 4: Generate outro visuals
-      console.log('STEP 4: Generating Outro');
+      // Step 5: Generate outro visuals
+      console.log('STEP 5: Generating Outro');
       console.log('-'.repeat(60));
-      const outroMetadata = await this.visualGenerator.generateOutro(genre, outroDir, 3);
-      console.log(`✓ Outro generated: ${outroMetadata.frameCount} frames`);
+      let outroMetadata = null;
+      if (config.outro.enabled) {
+        outroMetadata = await this._runStage(manifest, 'outro', { genre, seed, ...encoding, outro: config.outro }, async () => {
+          const output = streamFrames
+            ? videoRenderer.createFrameSink(path.join(segmentsDir, 'outro.mp4'), resolution)
+            : outroDir;
+          const metadata = await visualGenerator.generateOutro(genre, output, config.outro.duration, config.outro, seed);
+          console.log(`✓ Outro generated: ${metadata.frameCount} frames`);
+          return { outputs: this._stageOutputs(metadata, 'outro', 0, metadata.frameCount), data: metadata };
+        });
+      } else {
+        console.log('✓ Outro disabled');
+      }
       console.log();
 
-      // Step 5: Render video
-      console.log('STEP 5: Rendering Final Video');
+      // Step 6: Encode segments (PNG frames only; streamed sections are already encoded) and join them
+      console.log('STEP 6: Rendering Final Video');
       console.log('-'.repeat(60));
-      const videoMetadata = await this.videoRenderer.renderComplete(
-        introMetadata,
-        visualMetadata,
-        outroMetadata,
-        audioPath,
-        videoPath
-      );
+      const segments = [];
+      const segmentHashes = [];
+      if (introMetadata) {
+        let introPaths = introMetadata.segmentPaths;
+        if (!introPaths) {
+          const introPath = path.join(segmentsDir, 'intro.mp4');
+          introPaths = videoRenderer.outputPaths(introPath);
+          const inputs = { intro: manifest.fingerprint('intro'), encoder: config.encoder, profiles };
+          await this._runStage(manifest, 'encode:intro', inputs, async () => {
+            await videoRenderer.renderIntro(introMetadata, audioPath, introPath);
+            return { outputs: Object.values(introPaths) };
+          });
+        }
+        segments.push(introPaths);
+        segmentHashes.push(manifest.fingerprint(introMetadata.segmentPaths ? 'intro' : 'encode:intro'));
+      }
+
+      const mainPath = path.join(segmentsDir, 'main.mp4');
+      const mainPaths = videoRenderer.outputPaths(mainPath);
+      const mainInputs = {
+        music: musicHash,
+        parts: mainParts.map(part => manifest.fingerprint(part.stage)),
+        encoder: config.encoder,
+        profiles
+      };
+      await this._runStage(manifest, 'encode:main', mainInputs, async () => {
+        if (streamFrames) {
+          await videoRenderer.renderMainFromParts(mainParts.map(part => part.metadata.segmentPaths), audioPath, mainPath);
+        } else {
+          await videoRenderer.renderMain(visualMetadata, audioPath, mainPath);
+        }
+        return { outputs: Object.values(mainPaths) };
+      });
+      segments.push(mainPaths);
+      segmentHashes.push(manifest.fingerprint('encode:main'));
+
+      if (outroMetadata) {
+        let outroPaths = outroMetadata.segmentPaths;
+        if (!outroPaths) {
+          const outroPath = path.join(segmentsDir, 'outro.mp4');
+          outroPaths = videoRenderer.outputPaths(outroPath);
+          const inputs = { outro: manifest.fingerprint('outro'), encoder: config.encoder, profiles };
+          await this._runStage(manifest, 'encode:outro', inputs, async () => {
+            await videoRenderer.renderOutro(outroMetadata, outroPath);
+            return { outputs: Object.values(outroPaths) };
+          });
+        }
+        segments.push(outroPaths);
+        segmentHashes.push(manifest.fingerprint(outroMetadata.segmentPaths ? 'outro' : 'encode:outro'));
+      }
+
+      // Chapters (intro, song sections, outro) are embedded in the video and listed in the sidecar
+      const introOffset = videoRenderer.introOffset(introMetadata);
+      const outroLength = outroMetadata ? outroMetadata.frameCount / outroMetadata.fps : 0;
+      const videoPaths = videoRenderer.outputPaths(videoPath);
+      const publishing = YouTubeMetadata.build({
+        genre,
+        preset: this.genreRegistry.get(genre),
+        music: musicMetadata,
+        intro: introMetadata ? config.intro : null,
+        chapters: YouTubeMetadata.chapters(musicMetadata, introOffset, outroLength),
+        files: Object.fromEntries(Object.entries(videoPaths).map(([profile, file]) => [profile, path.basename(file)]))
+      });
+      const chapters = YouTubeMetadata.ffmetadata(publishing);
+
+      // Lyrics become a subtitle track (and an .srt next to the video), shifted past the intro
+      const concatInputs = { segments: segmentHashes, output: videoPaths, lyrics: lyricsHash, chapters };
+      await this._runStage(manifest, 'concat', concatInputs, async () => {
+        const subtitlesPath = videoRenderer.writeSubtitles(lyrics, videoPath, introMetadata);
+        fs.writeFileSync(chaptersPath, chapters);
+        await videoRenderer.concatenateVideos(segments, videoPath, subtitlesPath, chaptersPath);
+        return { outputs: [...Object.values(videoPaths), ...(subtitlesPath ? [subtitlesPath] : [])] };
+      });
+      const primaryPath = videoPaths[profiles[0]];
+
+      // Cut looping teasers from the finished video, starting at the track's first peak
+      let teaserPaths = {};
+      if (videoRenderer.teaserProfiles.length > 0) {
+        const teaserStart = introOffset + this._teaserStart(musicMetadata);
+        const teaserInputs = { video: manifest.fingerprint('concat'), profiles: videoRenderer.teaserProfileNames, start: teaserStart };
+        teaserPaths = videoRenderer.outputPaths(teaserPath, videoRenderer.teaserProfiles);
+        await this._runStage(manifest, 'teaser', teaserInputs, async () => {
+          await videoRenderer.renderTeasers(primaryPath, teaserPath, { start: teaserStart });
+          return { outputs: Object.values(teaserPaths) };
+        });
+      }
+
+      // Publishing sidecar: description, tags and chapters for the upload form
+      const sidecarPaths = YouTubeMetadata.write(publishing, primaryPath);
+      console.log(`✓ YouTube metadata written: ${sidecarPaths.json}, ${sidecarPaths.description}`);
       console.log();
 
       // Calculate statistics
@@ -134,38 +480,123 @@ class MusicVideoGenerator {
       const totalTime = Math.floor((endTime - startTime) / 1000);
       const minutes = Math.floor(totalTime / 60);
       const seconds = totalTime % 60;
-      const fileSize = (videoMetadata.size / (1024 * 1024)).toFixed(2);
 
       // Print summary
       console.log('='.repeat(60));
       console.log('✓ VIDEO GENERATION COMPLETE!');
       console.log('='.repeat(60));
-      console.log(`Output: ${videoPath}`);
-      console.log(`File size: ${fileSize} MB`);
-      console.log(`Duration: ${musicMetadata.duration}s`);
-      console.log(`Resolution: 1920x1080 @ 30fps`);
+      [...Object.values(videoPaths), ...Object.values(teaserPaths)].forEach(file => {
+        const fileSize = (fs.statSync(file).size / (1024 * 1024)).toFixed(2);
+        console.log(`Output: ${file} (${fileSize} MB)`);
+      });
+      if (musicMetadata.midiPath) {
+        console.log(`MIDI: ${musicMetadata.midiPath}`);
+      }
+      if (lyrics) {
+        console.log(`Subtitles: ${videoRenderer.subtitlesPath(videoPath)}`);
+      }
+      console.log(`Description: ${sidecarPaths.description}`);
+      if (musicMetadata.stems) {
+        console.log(`Stems: ${stemsDir}`);
+      }
+      console.log(`Duration: ${Number(musicMetadata.duration.toFixed(2))}s`);
+      if (musicMetadata.loudness) {
+        console.log(`Loudness: ${musicMetadata.loudness.integrated} LUFS, true peak ${musicMetadata.loudness.truePeak} dBTP`);
+      }
+      console.log(`Seed: ${musicMetadata.seed}`);
+      console.log(`Resolution: ${resolution.width}x${resolution.height} @ ${resolution.fps}fps`);
       console.log(`Total generation time: ${minutes}m ${seconds}s`);
       console.log('='.repeat(60));
 
-      // Clean up temporary files (optional - keep for debugging)
+      // Clean up temporary files (PNG frames are kept for debugging)
       console.log('\nCleaning up temporary files...');
-      this._cleanupTempFiles(projectDir);
-      console.log('✓ Cleanup complete');
+      this._cleanupTempFiles(projectDir, { keepFrames: !streamFrames });
+      console.log(streamFrames ? '✓ Cleanup complete' : `✓ Cleanup complete (PNG frames kept in ${projectDir})`);
 
-      return videoPath;
+      return primaryPath;
 
     } catch (error) {
       console.error('\n❌ Error during video generation:');
       console.error(error);
+      console.error(`\nFinished stages are kept in ${projectDir}`);
+      console.error(`Run "node generate.js --resume ${sanitizedName}" to continue from there.`);
       throw error;
     }
   }
 
+  /**
+   * Overlay settings; a partial mastering or card override (such as --lufs
+   * or --no-intro) keeps the other fields of that setting
+   */
+  _mergeSettings(settings, overrides) {
+    const merged = { ...settings, ...overrides };
+    ['mastering', 'intro', 'outro'].forEach(field => {
+      if (settings[field] && overrides[field]) {
+        merged[field] = { ...settings[field], ...overrides[field] };
+      }
+    });
+    return merged;
+  }
+
+  /**
+   * Run a pipeline stage, or reuse its recorded result when the manifest
+   * shows it already finished with the same inputs
+   * @param {Function} run - Async function returning { outputs: string[], data }
+   * @returns {Promise<*>} The stage's data
+   */
+  async _runStage(manifest, stage, inputs, run) {
+    if (manifest.isComplete(stage, inputs)) {
+      console.log(`✓ ${stage}: already complete, skipped`);
+      return manifest.get(stage);
+    }
+
+    const { outputs, data = null } = await run();
+    manifest.complete(stage, inputs, outputs, data);
+    return data;
+  }
+
+  /**
+   * Files a frame-rendering stage produced: its streamed segments, or its PNG frames
+   */
+  _stageOutputs(metadata, prefix, start, end) {
+    if (metadata.segmentPaths) {
+      return Object.values(metadata.segmentPaths);
+    }
+    const sink = new PngFrameSink(metadata.framesDir, prefix);
+    const outputs = [];
+    for (let frameNum = start; frameNum < end; frameNum++) {
+      outputs.push(sink.framePath(frameNum));
+    }
+    return outputs;
+  }
+
+  /**
+   * Where the teaser starts in the track (seconds): the first of its most
+   * intense sections, or a third of the way in when the arrangement is unknown
+   */
+  _teaserStart(musicMetadata) {
+    const sections = musicMetadata.sections || [];
+    if (sections.length === 0) {
+      return musicMetadata.duration / 3;
+    }
+    const peak = Math.max(...sections.map(section => section.density));
+    return sections.find(section => section.density === peak).start;
+  }
+
+  /**
+   * Identify an input file by path, size and modification time
+   */
+  _fileFingerprint(file) {
+    const stats = fs.statSync(file);
+    return { path: file, size: stats.size, modified: stats.mtimeMs };
+  }
+
   /**
    * Clean up temporary files
+   * @param {Object} options - { keepFrames } to leave the PNG frame directories in place
    */
-  _cleanupTempFiles(projectDir) {
-    const dirsToClean = ['frames', 'intro', 'outro'];
+  _cleanupTempFiles(projectDir, options = {}) {
+    const dirsToClean = options.keepFrames ? ['segments'] : ['segments', 'frames', 'intro', 'outro'];
     
     dirsToClean.forEach(dir => {
       const fullPath = path.join(projectDir, dir);
@@ -178,11 +609,13 @@ class MusicVideoGenerator {
       }
     });
 
-    // Remove audio file
-    const audioPath = path.join(projectDir, 'audio.wav');
-    if (fs.existsSync(audioPath)) {
-      fs.unlinkSync(audioPath);
-    }
+    // Remove audio file and the stage manifest
+    ['audio.wav', 'manifest.json'].forEach(file => {
+      const filePath = path.join(projectDir, file);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    });
 
     // Remove project directory if empty
     if (fs.existsSync(projectDir)) {
@@ -197,13 +630,68 @@ class MusicVideoGenerator {
    * List available genres
    */
   listGenres() {
-    return Object.keys(this.musicGenerator.genreTemplates);
+    return this.genreRegistry.list();
+  }
+
+  /**
+   * Describe available genres (name, description, tempo, preset file)
+   */
+  describeGenres() {
+    return this.genreRegistry.list().map(name => {
+      const preset = this.genreRegistry.get(name);
+      return {
+        name,
+        description: preset.description || '',
+        tempo: preset.music.tempo,
+        source: preset.source
+      };
+    });
+  }
+}
+
+/**
+ * Parse command line arguments into positional arguments and options
+ * Options listed in `valueOptions` consume a value (`--seed 42` or `--seed=42`),
+ * any other `--flag` is treated as a boolean
+ */
+function parseArgs(argv, valueOptions = []) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (!valueOptions.includes(name)) {
+      options[name] = true;
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Option --${name} requires a value`);
+    }
   }
+
+  return { positional, options };
 }
 
 // CLI interface
 if (require.main === module) {
   const args = process.argv.slice(2);
+
+  // Loading the generator also loads and validates every genre preset
+  let generator;
+  try {
+    generator = new MusicVideoGenerator();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
   
   if (args.includes('--help') || args.includes('-h')) {
     console.log(`
@@ -211,11 +699,15 @@ Music Video Generator
 =====================
 
 Usage:
-  node generate.js [genre] [output-name]
+  node generate.js [genre] [output-name] [options]
+  node generate.js --audio <file> --style <genre> [output-name]
+  node generate.js --midi <file> --style <genre> [output-name]
+  node generate.js --project <file> [options]
+  node generate.js --resume <output-name>
 
 Arguments:
   genre        Music genre (default: electronic)
-               Available: electronic, ambient, hiphop, pop, techno
+               Available: ${generator.listGenres().join(', ')}
   output-name  Custom name for output file (optional)
 
 Examples:
@@ -223,42 +715,171 @@ Examples:
   node generate.js ambient my_ambient_video
   node generate.js techno high_energy_video
   node generate.js pop cool_pop_music
+  node generate.js pop cool_pop_music --seed 1234
+  node generate.js hiphop --key F --mode dorian
+  node generate.js --audio my_track.mp3 --style techno
+  node generate.js --midi song.mid --style electronic
+  node generate.js --audio song.mp3 --style pop --lyrics song.lrc
+  node generate.js --project video.json --seed 7
+  node generate.js techno my_short --format shorts-9x16
+  node generate.js pop my_video --profile h264-mp4,vp9-webm,gif
+  node generate.js techno my_track --stems
+  node generate.js ambient my_track --lufs -16
+  node generate.js pop my_short --format shorts-9x16 --no-outro
 
 Options:
-  --help, -h   Show this help message
-  --list, -l   List available genres
+  --seed <n>       Seed for reproducible output (same seed = same video)
+  --audio <file>   Use an existing MP3/WAV/FLAC track instead of generating music
+  --midi <file>    Play a MIDI file with the genre's instruments instead of composing music
+  --style <genre>  Genre to use (then the only positional argument is the output name)
+  --lyrics <file>  Show timed lyrics from an LRC or SRT file and add them as a subtitle track
+  --key <key>      Key of the generated music (C, F#, Bb, ...; default per genre)
+  --mode <mode>    Mode of the generated music (major, minor, dorian, lydian, ...)
+  --format <name>  Output format (default: youtube-1080p)
+                   Available: ${FormatPresets.list().join(', ')}
+  --profile <list> Comma-separated encoder profiles (default: h264-mp4)
+                   Available: ${EncoderProfiles.list().map(name => `${name} (${EncoderProfiles.get(name).extension})`).join(', ')}
+  --project <file> Read all settings from a project JSON file (other options override it)
+  --jobs <n>       Worker threads for frame rendering (default: one per CPU core; 1 = no workers)
+  --resume <name>  Continue an interrupted run, skipping the stages that already finished
+  --stems          Also write each instrument as its own WAV to output/<name>_stems/
+  --lufs <n>       Loudness target of the generated music (default: -14, YouTube's level)
+  --no-intro       Leave out the intro title card
+  --no-outro       Leave out the outro title card
+  --png-frames     Write every frame as a PNG and keep them (debugging; slower, uses lots of disk)
+  --help, -h       Show this help message
+  --list, -l       List available genres
+
+Custom genres:
+  Drop a JSON preset into genres/ or ~/.generatevideos/genres
+  (or the directory in $GENERATEVIDEOS_GENRES_DIR). See genres/electronic.json.
 `);
     process.exit(0);
   }
 
   if (args.includes('--list') || args.includes('-l')) {
-    const generator = new MusicVideoGenerator();
     console.log('Available genres:');
-    generator.listGenres().forEach(genre => {
-      console.log(`  - ${genre}`);
+    generator.describeGenres().forEach(genre => {
+      const description = genre.description ? ` - ${genre.description}` : '';
+      console.log(`  - ${genre.name} (${genre.tempo} BPM)${description}`);
+      console.log(`      ${genre.source}`);
     });
     process.exit(0);
   }
 
-  const genre = args[0] || 'electronic';
-  const outputName = args[1] || null;
+  let parsed;
+  try {
+    parsed = parseArgs(args, ['seed', 'audio', 'midi', 'lyrics', 'style', 'key', 'mode', 'format', 'profile', 'project', 'jobs', 'resume', 'lufs']);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 
-  const generator = new MusicVideoGenerator();
+  const { positional, options } = parsed;
+  const genre = options.style || positional[0];
+  const outputName = options.style ? positional[0] : positional[1];
   
   // Validate genre
-  if (!generator.listGenres().includes(genre)) {
+  if (genre && !generator.listGenres().includes(genre)) {
     console.error(`Error: Unknown genre "${genre}"`);
     console.error('Available genres:', generator.listGenres().join(', '));
     process.exit(1);
   }
 
-  generator.generate(genre, outputName)
+  const theory = generator.musicGenerator.theory;
+  if (options.key && !theory.isValidKey(options.key)) {
+    console.error(`Error: Invalid key "${options.key}". Use a note name such as C, F# or Bb`);
+    process.exit(1);
+  }
+  if (options.mode && !theory.isValidMode(options.mode)) {
+    console.error(`Error: Unknown mode "${options.mode}"`);
+    console.error('Available modes:', theory.listModes().join(', '));
+    process.exit(1);
+  }
+
+  if (options.format && !FormatPresets.has(options.format)) {
+    console.error(`Error: Unknown format "${options.format}"`);
+    console.error('Available formats:', FormatPresets.list().join(', '));
+    process.exit(1);
+  }
+
+  const profiles = options.profile ? options.profile.split(',').map(name => name.trim()).filter(Boolean) : undefined;
+  if (profiles) {
+    const errors = EncoderProfiles.validate(profiles);
+    if (errors.length > 0) {
+      console.error(`Error: ${errors.join('; ')}`);
+      process.exit(1);
+    }
+  }
+
+  if (options.jobs !== undefined && !(Number.isInteger(Number(options.jobs)) && Number(options.jobs) >= 1)) {
+    console.error(`Error: --jobs must be a positive whole number (got "${options.jobs}")`);
+    process.exit(1);
+  }
+
+  if (options.lufs !== undefined && !(Number(options.lufs) >= -40 && Number(options.lufs) <= -5)) {
+    console.error(`Error: --lufs must be a loudness between -40 and -5 (got "${options.lufs}")`);
+    process.exit(1);
+  }
+
+  if (options.audio && !fs.existsSync(options.audio)) {
+    console.error(`Error: Audio file not found: ${options.audio}`);
+    process.exit(1);
+  }
+  if (options.midi && !fs.existsSync(options.midi)) {
+    console.error(`Error: MIDI file not found: ${options.midi}`);
+    process.exit(1);
+  }
+  if (options.audio && options.midi) {
+    console.error('Error: Use either --audio or --midi, not both');
+    process.exit(1);
+  }
+  if (options.lyrics && !fs.existsSync(options.lyrics)) {
+    console.error(`Error: Lyrics file not found: ${options.lyrics}`);
+    process.exit(1);
+  }
+
+  // Command line values take precedence over the project file
+  const cliSettings = Object.fromEntries(Object.entries({
+    genre,
+    output: outputName,
+    seed: options.seed,
+    audio: options.audio,
+    midi: options.midi,
+    lyrics: options.lyrics,
+    key: options.key,
+    mode: options.mode,
+    format: options.format,
+    profiles,
+    jobs: options.jobs !== undefined ? Number(options.jobs) : undefined,
+    stems: options.stems ? true : undefined,
+    mastering: options.lufs !== undefined ? { lufs: Number(options.lufs) } : undefined,
+    intro: options['no-intro'] ? { enabled: false } : undefined,
+    outro: options['no-outro'] ? { enabled: false } : undefined,
+    frameOutput: options['png-frames'] ? 'png' : undefined
+  }).filter(([, value]) => value !== undefined));
+
+  let generation;
+  if (options.resume) {
+    generation = generator.resume(options.resume, cliSettings);
+  } else if (options.project) {
+    generation = generator.generateProject(options.project, cliSettings);
+  } else {
+    generation = generator.generate(genre || 'electronic', outputName || null, cliSettings);
+  }
+
+  generation
     .then(videoPath => {
       console.log(`\n🎉 Success! Video saved to: ${videoPath}`);
       process.exit(0);
     })
     .catch(error => {
-      console.error('\n❌ Generation failed:', error.message);
+      // An invalid project file is a usage error, reported before anything is generated
+      if (error instanceof ProjectConfig.ProjectConfigError) {
+        console.error(`Error: ${error.message}`);
+      } else {
+        console.error('\n❌ Generation failed:', error.message);
+      }
       process.exit(1);
     });
 }
@@ -0,0 +1,601 @@
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+
+/**
+ * Audio Analyzer Module
+ * Decodes rendered audio and extracts per-frame spectrum, loudness and
+ * onset data so visuals can react to what is actually playing
+ */
+
+class AudioAnalyzer {
+  constructor() {
+    this.fftSize = 2048;
+    this.bandCount = 64;
+    this.minFrequency = 30;
+    this.maxFrequency = 16000;
+    this.dynamicRange = 60; // dB shown between silent and full-scale bands
+    this.decodeSampleRate = 44100; // used when decoding non-WAV input through ffmpeg
+  }
+
+  /**
+   * Analyze an audio file at the video frame rate
+   * @param {string} audioPath - Path to a WAV file (other formats are decoded through ffmpeg)
+   * @param {Object} options - Analysis options
+   * @param {number} options.fps - Video frames per second
+   * @param {number} options.duration - Seconds to analyze (defaults to the whole file)
+   * @returns {Promise<Object>} Per-frame bands, rms and onset arrays, all normalized to 0-1
+   */
+  async analyze(audioPath, options = {}) {
+    const fps = options.fps || 30;
+    const bandCount = options.bandCount || this.bandCount;
+
+    console.log(`Analyzing audio (${bandCount} bands at ${fps} fps)...`);
+
+    const audio = await this.decode(audioPath);
+    const samples = this._mixToMono(audio.channels);
+    const fileDuration = samples.length / audio.sampleRate;
+    const duration = Math.min(options.duration || fileDuration, fileDuration);
+    const frameCount = Math.floor(duration * fps);
+
+    const window = this._hannWindow(this.fftSize);
+    const bandEdges = this._bandEdges(bandCount, audio.sampleRate);
+    const re = new Float64Array(this.fftSize);
+    const im = new Float64Array(this.fftSize);
+    let previousSpectrum = new Float64Array(this.fftSize / 2);
+
+    const bands = [];
+    const rms = new Float64Array(frameCount);
+    const onset = new Float64Array(frameCount);
+    let maxBand = 0;
+    let maxRms = 0;
+    let maxOnset = 0;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      // Window centred on the frame's timestamp
+      const center = Math.floor((frame / fps) * audio.sampleRate);
+      const start = center - this.fftSize / 2;
+      let sumSquares = 0;
+
+      for (let i = 0; i < this.fftSize; i++) {
+        const index = start + i;
+        const sample = index >= 0 && index < samples.length ? samples[index] : 0;
+        sumSquares += sample * sample;
+        re[i] = sample * window[i];
+        im[i] = 0;
+      }
+
+      this._fft(re, im);
+
+      const spectrum = new Float64Array(this.fftSize / 2);
+      let flux = 0;
+      for (let bin = 0; bin < spectrum.length; bin++) {
+        spectrum[bin] = Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+        flux += Math.max(0, spectrum[bin] - previousSpectrum[bin]);
+      }
+      previousSpectrum = spectrum;
+
+      const frameBands = new Float64Array(bandCount);
+      for (let band = 0; band < bandCount; band++) {
+        const [low, high] = bandEdges[band];
+        let sum = 0;
+        for (let bin = low; bin < high; bin++) {
+          sum += spectrum[bin];
+        }
+        frameBands[band] = sum / (high - low);
+        maxBand = Math.max(maxBand, frameBands[band]);
+      }
+
+      bands.push(frameBands);
+      rms[frame] = Math.sqrt(sumSquares / this.fftSize);
+      onset[frame] = flux;
+      maxRms = Math.max(maxRms, rms[frame]);
+      maxOnset = Math.max(maxOnset, flux);
+    }
+
+    // Normalize: bands on a dB scale relative to the loudest band, rms and onset linearly
+    for (let frame = 0; frame < frameCount; frame++) {
+      const frameBands = bands[frame];
+      for (let band = 0; band < bandCount; band++) {
+        const db = frameBands[band] > 0 && maxBand > 0 ? 20 * Math.log10(frameBands[band] / maxBand) : -Infinity;
+        frameBands[band] = Math.max(0, 1 + db / this.dynamicRange);
+      }
+      rms[frame] = maxRms > 0 ? rms[frame] / maxRms : 0;
+      onset[frame] = maxOnset > 0 ? onset[frame] / maxOnset : 0;
+    }
+
+    return {
+      fps,
+      frameCount,
+      bandCount,
+      bands,
+      rms,
+      onset
+    };
+  }
+
+  /**
+   * Estimate tempo and beat positions of an audio file
+   * Builds a spectral-flux onset envelope, picks the beat period from its
+   * autocorrelation (weighted toward moderate tempos to avoid half/double
+   * errors) and places beats with dynamic programming.
+   * @param {string} audioPath - Path to the audio file
+   * @param {Object} options - Detection options
+   * @param {number} options.minBpm - Lowest tempo considered (default 60)
+   * @param {number} options.maxBpm - Highest tempo considered (default 200)
+   * @returns {Promise<Object>} bpm, beatPhase (s), beats (s), onsets (s), confidence (0-1) and duration (s)
+   */
+  async detectTempo(audioPath, options = {}) {
+    const minBpm = options.minBpm || 60;
+    const maxBpm = options.maxBpm || 200;
+
+    console.log(`Detecting tempo of ${path.basename(audioPath)}...`);
+
+    const audio = await this.decode(audioPath);
+    const samples = this._mixToMono(audio.channels);
+    const duration = samples.length / audio.sampleRate;
+    const hopSize = 512;
+    const envelopeRate = audio.sampleRate / hopSize;
+    const envelope = this._onsetEnvelope(samples, audio.sampleRate, hopSize);
+
+    const minLag = Math.max(1, Math.floor((60 / maxBpm) * envelopeRate));
+    const maxLag = Math.ceil((60 / minBpm) * envelopeRate);
+
+    if (envelope.length < maxLag * 4) {
+      throw new Error(`Audio is too short for tempo detection (${duration.toFixed(1)}s): ${audioPath}`);
+    }
+
+    // Autocorrelation of the onset envelope over the candidate beat periods
+    const autocorrelation = new Float64Array(maxLag * 2 + 2);
+    for (let lag = 0; lag < autocorrelation.length; lag++) {
+      let sum = 0;
+      for (let i = lag; i < envelope.length; i++) {
+        sum += envelope[i] * envelope[i - lag];
+      }
+      autocorrelation[lag] = sum;
+    }
+
+    if (autocorrelation[0] === 0) {
+      throw new Error(`No onsets found, audio appears to be silent: ${audioPath}`);
+    }
+
+    let bestLag = minLag;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = (60 * envelopeRate) / lag;
+      // Log-Gaussian tempo prior centred on 120 BPM
+      const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 0.9, 2));
+      const score = prior * (autocorrelation[lag] + 0.5 * autocorrelation[lag * 2]);
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    // Parabolic interpolation for a sub-frame beat period
+    const before = autocorrelation[bestLag - 1];
+    const at = autocorrelation[bestLag];
+    const after = autocorrelation[bestLag + 1];
+    const curvature = before - 2 * at + after;
+    const period = curvature < 0 ? bestLag + (0.5 * (before - after)) / curvature : bestLag;
+
+    const beatFrames = this._trackBeats(envelope, period);
+    const beats = beatFrames.map(frame => frame / envelopeRate);
+    const bpm = (60 * envelopeRate) / period;
+    const beatPeriod = 60 / bpm;
+
+    // Confidence: how periodic the envelope is, and how strongly beats land on onsets
+    const periodicity = Math.max(0, Math.min(1, at / autocorrelation[0]));
+    const meanEnvelope = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+    const meanAtBeats = beatFrames.reduce((sum, frame) => sum + envelope[frame], 0) / (beatFrames.length || 1);
+    const salience = meanAtBeats > 0 ? Math.max(0, 1 - meanEnvelope / meanAtBeats) : 0;
+    const confidence = Math.sqrt(periodicity * salience);
+
+    return {
+      bpm: Math.round(bpm * 10) / 10,
+      beatPhase: beats.length > 0 ? beats[0] % beatPeriod : 0,
+      beats,
+      onsets: this._pickOnsets(envelope).map(frame => frame / envelopeRate),
+      confidence: Math.round(confidence * 1000) / 1000,
+      duration
+    };
+  }
+
+  /**
+   * Read container information of an audio file with ffprobe
+   * @param {string} audioPath - Path to the audio file
+   * @returns {Promise<Object>} duration (s), sampleRate, channels and codec of the first audio stream
+   */
+  probe(audioPath) {
+    return new Promise((resolve, reject) => {
+      if (!fs.existsSync(audioPath)) {
+        reject(new Error(`Audio file not found: ${audioPath}`));
+        return;
+      }
+
+      ffmpeg.ffprobe(audioPath, (err, data) => {
+        if (err) {
+          reject(new Error(`Failed to probe ${audioPath}: ${err.message}`));
+          return;
+        }
+
+        const stream = data.streams.find(s => s.codec_type === 'audio');
+        if (!stream) {
+          reject(new Error(`No audio stream found in ${audioPath}`));
+          return;
+        }
+
+        const duration = parseFloat(stream.duration) || parseFloat(data.format.duration);
+        if (!duration) {
+          reject(new Error(`Could not determine duration of ${audioPath}`));
+          return;
+        }
+
+        resolve({
+          duration,
+          sampleRate: parseInt(stream.sample_rate, 10),
+          channels: stream.channels,
+          codec: stream.codec_name
+        });
+      });
+    });
+  }
+
+  /**
+   * Decode any audio file to per-channel floats
+   * WAV files are read directly, everything else goes through ffmpeg
+   * @param {string} audioPath - Path to the audio file
+   * @returns {Promise<Object>} Sample rate and one Float32Array per channel
+   */
+  async decode(audioPath) {
+    if (!fs.existsSync(audioPath)) {
+      throw new Error(`Audio file not found: ${audioPath}`);
+    }
+
+    if (path.extname(audioPath).toLowerCase() === '.wav') {
+      try {
+        return this.readWav(audioPath);
+      } catch (error) {
+        // Compressed or unusual WAV encodings are left to ffmpeg
+        console.log(`  ${error.message}, decoding with ffmpeg instead`);
+      }
+    }
+
+    return this._decodeWithFfmpeg(audioPath);
+  }
+
+  /**
+   * Decode through ffmpeg to interleaved stereo 32-bit float PCM
+   */
+  _decodeWithFfmpeg(audioPath) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      const sampleRate = this.decodeSampleRate;
+
+      const stream = ffmpeg(audioPath)
+        .noVideo()
+        .audioChannels(2)
+        .audioFrequency(sampleRate)
+        .format('f32le')
+        .on('error', (err) => {
+          reject(new Error(`Failed to decode ${audioPath}: ${err.message}`));
+        })
+        .pipe();
+
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('end', () => {
+        const data = Buffer.concat(chunks);
+        resolve({
+          sampleRate,
+          channels: this._decodeSamples(data, { audioFormat: 3, numChannels: 2, bitsPerSample: 32 }, audioPath)
+        });
+      });
+    });
+  }
+
+  /**
+   * Decode a PCM or IEEE float WAV file
+   * @param {string} audioPath - Path to the WAV file
+   * @returns {Object} Sample rate and one Float32Array per channel
+   */
+  readWav(audioPath) {
+    const buffer = fs.readFileSync(audioPath);
+
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error(`Not a WAV file: ${audioPath}`);
+    }
+
+    let format = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      const body = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        format = {
+          audioFormat: buffer.readUInt16LE(body),
+          numChannels: buffer.readUInt16LE(body + 2),
+          sampleRate: buffer.readUInt32LE(body + 4),
+          bitsPerSample: buffer.readUInt16LE(body + 14)
+        };
+        // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+        if (format.audioFormat === 0xfffe && chunkSize >= 26) {
+          format.audioFormat = buffer.readUInt16LE(body + 24);
+        }
+      } else if (chunkId === 'data') {
+        if (!format) {
+          throw new Error(`WAV file has no fmt chunk before data: ${audioPath}`);
+        }
+        const dataEnd = Math.min(body + chunkSize, buffer.length);
+        return {
+          sampleRate: format.sampleRate,
+          channels: this._decodeSamples(buffer.subarray(body, dataEnd), format, audioPath)
+        };
+      }
+
+      offset = body + chunkSize + (chunkSize % 2);
+    }
+
+    throw new Error(`WAV file has no data chunk: ${audioPath}`);
+  }
+
+  /**
+   * Convert interleaved sample data to per-channel floats in [-1, 1]
+   */
+  _decodeSamples(data, format, audioPath) {
+    const { audioFormat, numChannels, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const frameCount = Math.floor(data.length / (bytesPerSample * numChannels));
+    const channels = Array.from({ length: numChannels }, () => new Float32Array(frameCount));
+
+    let read;
+    if (audioFormat === 1 && bitsPerSample === 16) {
+      read = (offset) => data.readInt16LE(offset) / 32768;
+    } else if (audioFormat === 1 && bitsPerSample === 24) {
+      read = (offset) => data.readIntLE(offset, 3) / 8388608;
+    } else if (audioFormat === 1 && bitsPerSample === 32) {
+      read = (offset) => data.readInt32LE(offset) / 2147483648;
+    } else if (audioFormat === 3 && bitsPerSample === 32) {
+      read = (offset) => data.readFloatLE(offset);
+    } else {
+      throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit): ${audioPath}`);
+    }
+
+    let offset = 0;
+    for (let i = 0; i < frameCount; i++) {
+      for (let channel = 0; channel < numChannels; channel++) {
+        channels[channel][i] = read(offset);
+        offset += bytesPerSample;
+      }
+    }
+
+    return channels;
+  }
+
+  /**
+   * Spectral-flux onset envelope: positive change in log band energy per hop,
+   * with the local average removed so only sudden changes remain
+   * Flux is summed over log-spaced bands rather than raw bins so broadband
+   * noise (hats, cymbals) does not drown out low-frequency kicks
+   */
+  _onsetEnvelope(samples, sampleRate, hopSize) {
+    const size = this.fftSize;
+    const window = this._hannWindow(size);
+    const bandEdges = this._bandEdges(40, sampleRate);
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    const frameCount = Math.floor(samples.length / hopSize);
+    const flux = new Float64Array(frameCount);
+    let previous = new Float64Array(bandEdges.length);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const start = frame * hopSize - size / 2;
+      for (let i = 0; i < size; i++) {
+        const index = start + i;
+        re[i] = index >= 0 && index < samples.length ? samples[index] * window[i] : 0;
+        im[i] = 0;
+      }
+
+      this._fft(re, im);
+
+      const current = new Float64Array(bandEdges.length);
+      let sum = 0;
+      for (let band = 0; band < bandEdges.length; band++) {
+        const [low, high] = bandEdges[band];
+        let energy = 0;
+        for (let bin = low; bin < high; bin++) {
+          energy += Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+        }
+        current[band] = Math.log1p(100 * energy / (high - low));
+        sum += Math.max(0, current[band] - previous[band]);
+      }
+      flux[frame] = frame === 0 ? 0 : sum;
+      previous = current;
+    }
+
+    // Subtract a ~0.3s moving average and half-wave rectify
+    const radius = 16;
+    const envelope = new Float64Array(frameCount);
+    let max = 0;
+    for (let frame = 0; frame < frameCount; frame++) {
+      const from = Math.max(0, frame - radius);
+      const to = Math.min(frameCount, frame + radius + 1);
+      let local = 0;
+      for (let i = from; i < to; i++) {
+        local += flux[i];
+      }
+      envelope[frame] = Math.max(0, flux[frame] - local / (to - from));
+      max = Math.max(max, envelope[frame]);
+    }
+
+    if (max > 0) {
+      for (let frame = 0; frame < frameCount; frame++) {
+        envelope[frame] /= max;
+      }
+    }
+
+    return envelope;
+  }
+
+  /**
+   * Dynamic-programming beat tracker (Ellis 2007): each beat is placed to
+   * maximise onset strength while penalising deviation from the beat period
+   * @returns {number[]} Beat positions in envelope frames
+   */
+  _trackBeats(envelope, period) {
+    const tightness = 100;
+    const score = new Float64Array(envelope.length);
+    const backlink = new Int32Array(envelope.length).fill(-1);
+
+    for (let frame = 0; frame < envelope.length; frame++) {
+      const from = Math.max(0, Math.round(frame - 2 * period));
+      const to = Math.round(frame - period / 2);
+      let best = 0; // a chain may also start fresh at this frame
+
+      for (let previous = from; previous <= to; previous++) {
+        const deviation = Math.log((frame - previous) / period);
+        const candidate = score[previous] - tightness * deviation * deviation;
+        if (candidate > best) {
+          best = candidate;
+          backlink[frame] = previous;
+        }
+      }
+
+      score[frame] = envelope[frame] + best;
+    }
+
+    // Start from the best-scoring frame within the last beat period
+    let frame = envelope.length - 1;
+    for (let i = Math.max(0, Math.floor(envelope.length - period)); i < envelope.length; i++) {
+      if (score[i] > score[frame]) {
+        frame = i;
+      }
+    }
+
+    const beats = [];
+    while (frame >= 0) {
+      beats.unshift(frame);
+      frame = backlink[frame];
+    }
+
+    return beats;
+  }
+
+  /**
+   * Local maxima of the onset envelope above a fixed threshold
+   * @returns {number[]} Onset positions in envelope frames
+   */
+  _pickOnsets(envelope) {
+    const threshold = 0.1;
+    const minGap = 4;
+    const onsets = [];
+
+    for (let frame = 1; frame < envelope.length - 1; frame++) {
+      const value = envelope[frame];
+      if (value >= threshold && value >= envelope[frame - 1] && value > envelope[frame + 1]) {
+        if (onsets.length === 0 || frame - onsets[onsets.length - 1] >= minGap) {
+          onsets.push(frame);
+        }
+      }
+    }
+
+    return onsets;
+  }
+
+  /**
+   * Average all channels into a single mono signal
+   */
+  _mixToMono(channels) {
+    if (channels.length === 1) {
+      return channels[0];
+    }
+
+    const mono = new Float32Array(channels[0].length);
+    for (const channel of channels) {
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] += channel[i] / channels.length;
+      }
+    }
+    return mono;
+  }
+
+  /**
+   * Hann window to reduce spectral leakage
+   */
+  _hannWindow(size) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    }
+    return window;
+  }
+
+  /**
+   * Logarithmically spaced FFT bin ranges, one per band
+   */
+  _bandEdges(bandCount, sampleRate) {
+    const binHz = sampleRate / this.fftSize;
+    const maxBin = this.fftSize / 2;
+    const maxFrequency = Math.min(this.maxFrequency, sampleRate / 2);
+    const ratio = maxFrequency / this.minFrequency;
+    const edges = [];
+
+    for (let band = 0; band < bandCount; band++) {
+      const lowHz = this.minFrequency * Math.pow(ratio, band / bandCount);
+      const highHz = this.minFrequency * Math.pow(ratio, (band + 1) / bandCount);
+      const low = Math.min(maxBin - 1, Math.floor(lowHz / binHz));
+      const high = Math.min(maxBin, Math.max(low + 1, Math.ceil(highHz / binHz)));
+      edges.push([low, high]);
+    }
+
+    return edges;
+  }
+
+  /**
+   * In-place iterative radix-2 FFT
+   */
+  _fft(re, im) {
+    const n = re.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = (-2 * Math.PI) / size;
+      const stepRe = Math.cos(angle);
+      const stepIm = Math.sin(angle);
+
+      for (let start = 0; start < n; start += size) {
+        let wRe = 1;
+        let wIm = 0;
+        for (let k = 0; k < size / 2; k++) {
+          const even = start + k;
+          const odd = even + size / 2;
+          const tRe = re[odd] * wRe - im[odd] * wIm;
+          const tIm = re[odd] * wIm + im[odd] * wRe;
+          re[odd] = re[even] - tRe;
+          im[odd] = im[even] - tIm;
+          re[even] += tRe;
+          im[even] += tIm;
+          const nextRe = wRe * stepRe - wIm * stepIm;
+          wIm = wRe * stepIm + wIm * stepRe;
+          wRe = nextRe;
+        }
+      }
+    }
+  }
+}
+
+module.exports = AudioAnalyzer;
@@ -0,0 +1,454 @@
+const fs = require('fs');
+const path = require('path');
+const SeededRandom = require('./random');
+
+/**
+ * Audio Renderer Module
+ * Renders a score (tempo, duration, synth settings and pre-computed note
+ * events) to PCM audio in-process with Tone.js offline rendering, and
+ * encodes the result as 16-bit WAV
+ *
+ * Every voice is rendered in its own offline pass and the passes are summed
+ * into the mix, so per-voice stems are aligned sample for sample with the
+ * mix and add up to it exactly. Effects are built per pass as well: each
+ * voice runs through its inserts (filter, bitcrush, sidechain ducking) and
+ * feeds its own copy of the reverb and delay buses; the buses are linear, so
+ * the summed passes sound the same as one shared bus.
+ */
+
+const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const VOICES = ['kick', 'snare', 'clap', 'hihat', 'openhat', 'bass', 'chords', 'melody'];
+const SAMPLED_DRUMS = ['snare', 'clap']; // played from buffers built by _drumSample
+const SAMPLE_NOTE = 'C4'; // sampled drums play at their recorded pitch
+const CLAP_BURSTS = 3; // a clap is a few hand claps in quick succession
+const CLAP_SPACING = 0.012; // seconds between the bursts
+const REVERB_SEED = 'reverb'; // impulse responses are seeded noise, identical on every run
+const DUCK_ATTACK = 0.003; // seconds for the sidechain gain to drop after a kick
+
+// Tone.js renders through one global context, so renders in this process run one at a time
+let renderQueue = Promise.resolve();
+let tone = null;
+
+/**
+ * Raised when a score cannot be rendered; stage tells where it failed:
+ * 'load' (Tone.js unavailable), 'score' (invalid input), 'render' (synthesis)
+ * or 'output' (silent or invalid audio, or the file could not be written)
+ */
+class AudioRenderError extends Error {
+  constructor(stage, message, cause = null) {
+    super(`Audio rendering failed (${stage}): ${message}`);
+    this.name = 'AudioRenderError';
+    this.stage = stage;
+    this.cause = cause;
+  }
+}
+
+class AudioRenderer {
+  /**
+   * @param {Object} options - Output options
+   * @param {number} options.sampleRate - Sample rate in Hz (default 44100)
+   * @param {number} options.channels - Channel count (default 2)
+   */
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || SAMPLE_RATE;
+    this.channels = options.channels || CHANNELS;
+  }
+
+  /**
+   * Render a score offline
+   * @param {Object} score - What to play
+   * @param {number} score.tempo - Tempo in BPM
+   * @param {number} score.duration - Length in seconds
+   * @param {Object} score.instruments - Tone.js options of the synth, bass, kick, hihat and openhat voices,
+   *   and the snare ({ frequency, decay, volume }) and clap ({ decay, volume }) samples
+   * @param {Object} score.events - Note events per voice (kick, snare, clap, hihat, openhat, bass, chords, melody)
+   * @param {Object} score.effects - Effects graph: reverb and delay buses and per-voice inserts and sends (optional, dry without)
+   * @param {Object} options - Render options
+   * @param {boolean} options.stems - Also return each voice's audio
+   * @returns {Promise<Object>} { channels: Float32Array[], stems, sampleRate, duration, events };
+   *   stems maps each voice that plays to its channels (null unless requested)
+   */
+  async render(score, options = {}) {
+    this._validate(score);
+    const Tone = this._loadTone();
+
+    const result = renderQueue.then(() => this._renderVoices(Tone, score, Boolean(options.stems)));
+    renderQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Encode rendered audio and write it as a WAV file
+   * @param {string} outputPath - File to write
+   * @param {Object} rendered - Result of render()
+   */
+  writeWav(outputPath, rendered) {
+    try {
+      fs.writeFileSync(outputPath, AudioRenderer.encodeWav(rendered.channels, rendered.sampleRate));
+    } catch (error) {
+      throw new AudioRenderError('output', `could not write ${outputPath}: ${error.message}`, error);
+    }
+  }
+
+  /**
+   * Write each rendered stem as <voice>.wav
+   * @param {string} stemsDir - Directory for the stem files (created if missing)
+   * @param {Object} rendered - Result of render() with stems
+   * @returns {Object} Map of voice name to file path
+   */
+  writeStems(stemsDir, rendered) {
+    if (!rendered.stems) {
+      throw new AudioRenderError('output', 'no stems were rendered (pass { stems: true } to render())');
+    }
+    if (!fs.existsSync(stemsDir)) {
+      fs.mkdirSync(stemsDir, { recursive: true });
+    }
+
+    const files = {};
+    Object.entries(rendered.stems).forEach(([voice, channels]) => {
+      files[voice] = path.join(stemsDir, `${voice}.wav`);
+      this.writeWav(files[voice], { channels, sampleRate: rendered.sampleRate });
+    });
+    return files;
+  }
+
+  /**
+   * Encode channel data as a 16-bit PCM WAV file
+   * @param {Float32Array[]} channels - Samples per channel, in [-1, 1] (clipped beyond)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Buffer} WAV file contents
+   */
+  static encodeWav(channels, sampleRate) {
+    const numChannels = channels.length;
+    const length = channels[0].length;
+    const bytesPerSample = 2;
+    const blockAlign = numChannels * bytesPerSample;
+    const byteRate = sampleRate * blockAlign;
+    const dataSize = length * blockAlign;
+    const bufferSize = 44 + dataSize;
+
+    const buffer = Buffer.alloc(bufferSize);
+    let offset = 0;
+
+    // RIFF header
+    buffer.write('RIFF', offset); offset += 4;
+    buffer.writeUInt32LE(bufferSize - 8, offset); offset += 4;
+    buffer.write('WAVE', offset); offset += 4;
+
+    // fmt chunk
+    buffer.write('fmt ', offset); offset += 4;
+    buffer.writeUInt32LE(16, offset); offset += 4; // chunk size
+    buffer.writeUInt16LE(1, offset); offset += 2; // audio format (PCM)
+    buffer.writeUInt16LE(numChannels, offset); offset += 2;
+    buffer.writeUInt32LE(sampleRate, offset); offset += 4;
+    buffer.writeUInt32LE(byteRate, offset); offset += 4;
+    buffer.writeUInt16LE(blockAlign, offset); offset += 2;
+    buffer.writeUInt16LE(16, offset); offset += 2; // bits per sample
+
+    // data chunk
+    buffer.write('data', offset); offset += 4;
+    buffer.writeUInt32LE(dataSize, offset); offset += 4;
+
+    // Interleaved samples
+    for (let i = 0; i < length; i++) {
+      for (let channel = 0; channel < numChannels; channel++) {
+        const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+        buffer.writeInt16LE(Math.floor(sample * 32767), offset);
+        offset += 2;
+      }
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Render each voice that has events and sum them into the mix
+   */
+  async _renderVoices(Tone, score, keepStems) {
+    const length = Math.round(score.duration * this.sampleRate);
+    const channels = Array.from({ length: this.channels }, () => new Float32Array(length));
+    const stems = {};
+
+    for (const voice of VOICES) {
+      if (score.events[voice].length === 0) {
+        continue;
+      }
+      const stem = await this._renderOffline(Tone, score, voice);
+      stem.forEach((samples, channel) => {
+        const mix = channels[channel];
+        const count = Math.min(mix.length, samples.length);
+        for (let i = 0; i < count; i++) {
+          mix[i] += samples[i];
+        }
+      });
+      if (keepStems) {
+        stems[voice] = stem;
+      }
+    }
+
+    this._checkOutput(channels, score.events);
+    return {
+      channels,
+      stems: keepStems ? stems : null,
+      sampleRate: this.sampleRate,
+      duration: score.duration,
+      events: score.events
+    };
+  }
+
+  /**
+   * Schedule one voice's events in a fresh offline context and render it
+   * @returns {Promise<Float32Array[]>} Samples per channel
+   */
+  async _renderOffline(Tone, score, voice) {
+    const { tempo, duration, instruments, events } = score;
+
+    let buffer;
+    try {
+      buffer = await Tone.Offline(({ transport }) => {
+        transport.bpm.value = tempo;
+
+        const synth = this._createSynth(Tone, voice, instruments);
+        this._connectEffects(Tone, synth, voice, score);
+        events[voice].forEach(e => {
+          if (voice === 'hihat' || voice === 'openhat') {
+            synth.triggerAttackRelease(e.duration, e.time, e.velocity);
+          } else if (SAMPLED_DRUMS.includes(voice)) {
+            synth.triggerAttackRelease(SAMPLE_NOTE, e.duration, e.time, e.velocity);
+          } else {
+            synth.triggerAttackRelease(voice === 'chords' ? e.notes : e.note, e.duration, e.time, e.velocity);
+          }
+        });
+
+        transport.start(0);
+      }, duration, this.channels, this.sampleRate);
+    } catch (error) {
+      throw new AudioRenderError('render', `${voice}: ${error.message}`, error);
+    }
+
+    // toArray() returns a single Float32Array for mono buffers
+    const data = buffer.toArray();
+    return Array.isArray(data) ? data : [data];
+  }
+
+  /**
+   * Instrument that plays a voice (chords and melody each get their own polyphonic synth)
+   */
+  _createSynth(Tone, voice, instruments) {
+    switch (voice) {
+      case 'kick':
+        return new Tone.MembraneSynth(instruments.kick);
+      case 'snare':
+      case 'clap':
+        return new Tone.Sampler({
+          urls: { [SAMPLE_NOTE]: Tone.ToneAudioBuffer.fromArray(this._drumSample(voice, instruments[voice])) },
+          release: instruments[voice].decay,
+          volume: instruments[voice].volume
+        });
+      case 'hihat':
+        return new Tone.MetalSynth(instruments.hihat);
+      case 'openhat':
+        return new Tone.MetalSynth(instruments.openhat);
+      case 'bass':
+        return new Tone.Synth(instruments.bass);
+      default:
+        return new Tone.PolySynth(Tone.Synth, instruments.synth);
+    }
+  }
+
+  /**
+   * Route a voice through its effects to the destination
+   * Inserts run in a fixed order: filter (optionally swept by an LFO),
+   * bitcrush, sidechain ducking on the kick. The result goes to the
+   * destination dry and to the reverb and delay buses at its send levels.
+   * Only native Web Audio nodes are used (no AudioWorklets), which keeps the
+   * offline render deterministic.
+   */
+  _connectEffects(Tone, source, voice, score) {
+    const effects = score.effects || {};
+    const settings = (effects.voices || {})[voice] || {};
+    const chain = [];
+
+    if (settings.filter) {
+      const { type = 'lowpass', frequency, q = 1, sweep } = settings.filter;
+      const filter = new Tone.Filter({ type, frequency, Q: q });
+      if (sweep) {
+        new Tone.LFO({
+          frequency: sweep.rate,
+          min: frequency,
+          max: Math.min(frequency * Math.pow(2, sweep.octaves), this.sampleRate / 2)
+        }).start(0).connect(filter.frequency);
+      }
+      chain.push(filter);
+    }
+
+    if (settings.bitcrush) {
+      const steps = Math.pow(2, settings.bitcrush.bits - 1);
+      chain.push(new Tone.WaveShaper(x => Math.round(x * steps) / steps, 4096));
+    }
+
+    if (settings.sidechain) {
+      const { depth, release } = settings.sidechain;
+      const duck = new Tone.Gain(1);
+      score.events.kick.forEach(kick => {
+        duck.gain.setTargetAtTime(1 - depth, kick.time, DUCK_ATTACK);
+        duck.gain.setTargetAtTime(1, kick.time + DUCK_ATTACK * 3, release / 3);
+      });
+      chain.push(duck);
+    }
+
+    const output = chain.length > 0 ? chain[chain.length - 1] : source;
+    if (chain.length > 0) {
+      source.chain(...chain);
+    }
+    output.toDestination();
+
+    const buses = {
+      reverb: () => new Tone.Convolver(Tone.ToneAudioBuffer.fromArray(this._impulseResponse(effects.reverb))),
+      // Tone's default 1 s maximum would clamp longer synced delays (4n. at 80 BPM is 1.125 s)
+      delay: () => new Tone.FeedbackDelay({
+        delayTime: effects.delay.time,
+        maxDelay: Math.max(1, Tone.Time(effects.delay.time).toSeconds()),
+        feedback: effects.delay.feedback,
+        wet: 1
+      })
+    };
+    Object.keys(buses).forEach(bus => {
+      const level = settings[bus] || 0;
+      if (level > 0 && effects[bus]) {
+        const send = new Tone.Gain(level);
+        output.connect(send);
+        send.connect(buses[bus]().toDestination());
+      }
+    });
+  }
+
+  /**
+   * Stereo impulse response for the reverb bus: decorrelated seeded noise
+   * after the pre-delay, decaying by 60 dB over the decay time
+   */
+  _impulseResponse({ decay, preDelay = 0 }) {
+    const random = new SeededRandom(REVERB_SEED);
+    const offset = Math.round(preDelay * this.sampleRate);
+    const length = offset + Math.round(decay * this.sampleRate);
+    return Array.from({ length: 2 }, () => {
+      const samples = new Float32Array(length);
+      for (let i = offset; i < length; i++) {
+        const t = (i - offset) / this.sampleRate;
+        samples[i] = random.float(-1, 1) * Math.pow(10, (-3 * t) / decay);
+      }
+      return samples;
+    });
+  }
+
+  /**
+   * Mono sample of a snare or clap hit, synthesized from seeded noise
+   * (Tone's own noise sources use Math.random, so renders would differ)
+   * A snare is a pitched body under a noise burst; a clap is a few short
+   * bursts followed by a longer tail.
+   * @param {string} voice - 'snare' or 'clap'
+   * @param {Object} settings - frequency (snare body in Hz) and decay (seconds)
+   * @returns {Float32Array}
+   */
+  _drumSample(voice, { frequency = 180, decay }) {
+    const random = new SeededRandom(voice);
+    const length = Math.round((decay + CLAP_BURSTS * CLAP_SPACING) * this.sampleRate);
+    const samples = new Float32Array(length);
+    const fade = (t, time) => Math.pow(10, (-3 * t) / time); // -60 dB after time seconds
+
+    for (let i = 0; i < length; i++) {
+      const t = i / this.sampleRate;
+      const noise = random.float(-1, 1);
+      if (voice === 'snare') {
+        const body = Math.sin(2 * Math.PI * frequency * t) * fade(t, decay / 2);
+        samples[i] = 0.5 * body + 0.5 * noise * fade(t, decay);
+      } else {
+        const burst = Math.floor(t / CLAP_SPACING);
+        const envelope = burst < CLAP_BURSTS
+          ? fade(t - burst * CLAP_SPACING, CLAP_SPACING)
+          : fade(t - CLAP_BURSTS * CLAP_SPACING, decay);
+        samples[i] = 0.8 * noise * envelope;
+      }
+    }
+    return samples;
+  }
+
+  /**
+   * Load Tone.js once; a missing or broken install becomes an AudioRenderError
+   */
+  _loadTone() {
+    if (!tone) {
+      try {
+        tone = require('tone');
+      } catch (error) {
+        throw new AudioRenderError('load', `Tone.js could not be loaded: ${error.message}`, error);
+      }
+    }
+    return tone;
+  }
+
+  /**
+   * Reject scores that would fail half-way through scheduling
+   */
+  _validate(score) {
+    const problems = [];
+    if (!score || typeof score !== 'object') {
+      throw new AudioRenderError('score', 'no score given');
+    }
+    if (!(score.tempo > 0)) {
+      problems.push(`tempo must be a positive number (got ${score.tempo})`);
+    }
+    if (!(score.duration > 0)) {
+      problems.push(`duration must be a positive number (got ${score.duration})`);
+    }
+    ['synth', 'bass', 'kick', 'snare', 'clap', 'hihat', 'openhat'].forEach(voice => {
+      if (!score.instruments || typeof score.instruments[voice] !== 'object') {
+        problems.push(`instruments.${voice} is missing`);
+      }
+    });
+    VOICES.forEach(voice => {
+      const list = score.events && score.events[voice];
+      if (!Array.isArray(list)) {
+        problems.push(`events.${voice} must be an array`);
+        return;
+      }
+      const bad = list.findIndex(e => !Number.isFinite(e.time) || e.time < 0 || e.time > score.duration);
+      if (bad !== -1) {
+        problems.push(`events.${voice}[${bad}] has time ${list[bad].time}, outside 0-${score.duration}s`);
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new AudioRenderError('score', problems.join('; '));
+    }
+  }
+
+  /**
+   * Catch renders that produced nothing usable instead of writing a broken file
+   */
+  _checkOutput(channels, events) {
+    let peak = 0;
+    for (const samples of channels) {
+      for (let i = 0; i < samples.length; i++) {
+        const level = Math.abs(samples[i]);
+        if (Number.isNaN(level)) {
+          throw new AudioRenderError('output', 'rendered audio contains invalid samples');
+        }
+        if (level > peak) {
+          peak = level;
+        }
+      }
+    }
+
+    const noteCount = VOICES.reduce((sum, voice) => sum + events[voice].length, 0);
+    if (peak === 0 && noteCount > 0) {
+      throw new AudioRenderError('output', `rendered audio is silent although ${noteCount} notes were scheduled`);
+    }
+  }
+}
+
+AudioRenderer.AudioRenderError = AudioRenderError;
+AudioRenderer.VOICES = VOICES;
+
+module.exports = AudioRenderer;
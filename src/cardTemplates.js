@@ -0,0 +1,75 @@
+/**
+ * Card Templates Module
+ * Named looks for the intro and outro title cards: the background, where
+ * the text sits and its colors. Colors a template leaves out come from the
+ * genre's visual style (accent: its first color, background: its background).
+ *
+ * Backgrounds: 'solid' (the background color), 'gradient' (background color
+ * into the accent color) or 'genre' (the genre's animated visuals, dimmed).
+ * Layouts: 'center' (centered text) or 'lower-third' (left-aligned text in
+ * the lower third, marked by an accent bar).
+ */
+
+const BACKGROUNDS = ['solid', 'gradient', 'genre'];
+
+const TEMPLATES = {
+  classic: {
+    description: 'White text centered on black',
+    background: 'solid',
+    layout: 'center',
+    colors: { text: '#ffffff', accent: '#ffffff', background: '#000000' }
+  },
+  genre: {
+    description: "Centered text over the genre's animated visuals",
+    background: 'genre',
+    layout: 'center',
+    colors: { text: '#ffffff' }
+  },
+  'lower-third': {
+    description: "Left-aligned text in the lower third over a gradient of the genre's colors",
+    background: 'gradient',
+    layout: 'lower-third',
+    colors: { text: '#ffffff' }
+  }
+};
+
+const DEFAULT_TEMPLATE = 'classic';
+
+class CardTemplates {
+  /**
+   * Names of all templates
+   */
+  static list() {
+    return Object.keys(TEMPLATES);
+  }
+
+  /**
+   * Whether a template exists
+   */
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATES, name);
+  }
+
+  /**
+   * Look up a template (the default template if name is omitted)
+   * @returns {Object} { name, description, background, layout, colors } (copies, safe to modify)
+   */
+  static get(name = DEFAULT_TEMPLATE) {
+    if (!CardTemplates.has(name)) {
+      throw new Error(`Unknown card template "${name}". Available templates: ${CardTemplates.list().join(', ')}`);
+    }
+    const template = TEMPLATES[name];
+    return {
+      name,
+      description: template.description,
+      background: template.background,
+      layout: template.layout,
+      colors: { ...template.colors }
+    };
+  }
+}
+
+CardTemplates.BACKGROUNDS = BACKGROUNDS;
+CardTemplates.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+
+module.exports = CardTemplates;
@@ -0,0 +1,152 @@
+/**
+ * Drum Patterns Module
+ * Named drum patterns as 16-step grids (sixteenth notes of one 4/4 bar) for
+ * the kick, snare, clap, closed and open hi-hat voices. Each pattern has
+ * variations that alternate from bar to bar and a fill for section ends.
+ *
+ * Grid steps: '.' rest, 'x' hit, 'X' accent, 'o' ghost note, '2'-'4' a
+ * roll of that many hits within the step (trap hats).
+ */
+
+const STEPS = 16;
+const DRUM_VOICES = ['kick', 'snare', 'clap', 'hihat', 'openhat'];
+
+const VELOCITIES = { X: 1, x: 0.8, o: 0.35 };
+const ROLL_VELOCITY = { from: 0.45, to: 0.8 }; // rolls swell towards the next step
+
+const PATTERNS = {
+  'four-on-the-floor': {
+    description: 'House and EDM: kick on every beat, clap on 2 and 4, offbeat open hats',
+    variations: [
+      { kick: 'X...X...X...X...', clap: '....x.......x...', hihat: 'x.o.x.o.x.o.x.o.' },
+      { kick: 'X...X...X...X...', clap: '....x.......x...', hihat: 'x...x...x...x...', openhat: '..x...x...x...x.' }
+    ],
+    fill: { kick: 'X...X...X.X.X.X.', clap: '....x...x.x.xxxx', hihat: 'x.x.x.x.........' }
+  },
+  techno: {
+    description: 'Driving techno: four-on-the-floor with sixteenth hats and offbeat open hats',
+    variations: [
+      { kick: 'X...X...X...X...', clap: '....x.......x...', hihat: 'xoxoxoxoxoxoxoxo', openhat: '..x...x...x...x.' },
+      { kick: 'X...X...X...X..x', clap: '....x.......x...', hihat: 'xoxoxoxoxoxoxoxo', openhat: '..x...x...x...x.' }
+    ],
+    fill: { kick: 'X...X...X...XXXX', clap: '....x.......xxxx', hihat: 'xoxoxoxoxoxo....' }
+  },
+  backbeat: {
+    description: 'Pop and rock: kick on 1 and 3, snare on 2 and 4, eighth-note hats',
+    variations: [
+      { kick: 'X.....x.X.......', snare: '....X.......X...', hihat: 'x.x.x.x.x.x.x.x.' },
+      { kick: 'X.....x.X.x.....', snare: '....X.......X..o', hihat: 'x.x.x.x.x.x.x.x.', openhat: '..............x.' }
+    ],
+    fill: { kick: 'X.......X.......', snare: '....X...x.x.XxXx', hihat: 'x.x.x.x.........' }
+  },
+  'boom-bap': {
+    description: 'Nineties hip-hop: syncopated kick, hard snare on 2 and 4, eighth-note hats',
+    variations: [
+      { kick: 'X......x..X.....', snare: '....X.......X...', hihat: 'x.x.x.x.x.x.x.x.' },
+      { kick: 'X......x..X..x..', snare: '....X..o....X...', hihat: 'x.x.x.x.x.x.x.xo' }
+    ],
+    fill: { kick: 'X......x..X.x...', snare: '....X.......XoXo', hihat: 'x.x.x.x.x.x.....' }
+  },
+  'half-time': {
+    description: 'Half-time feel: snare on beat 3, sparse kick and quarter-note hats',
+    variations: [
+      { kick: 'X.........x.....', snare: '........X.......', hihat: 'x...x...x...x...' },
+      { kick: 'X.....x...x.....', snare: '........X.......', hihat: 'x...x...x...x.x.' }
+    ],
+    fill: { kick: 'X.........x.....', snare: '........X...x.xx', hihat: 'x...x...........' }
+  },
+  breakbeat: {
+    description: 'Breakbeat: broken kick, snare on 2 and 4 with ghost notes',
+    variations: [
+      { kick: 'X.x.......xx....', snare: '....X..o.o..X..o', hihat: 'x.x.x.x.x.x.x.x.' },
+      { kick: 'X.x.......x.....', snare: '....X..o.o....X.', hihat: 'x.x.x.x.x.x.x.x.', openhat: '..............x.' }
+    ],
+    fill: { kick: 'X.x.......x.....', snare: '....X..o.oX.XxXX', hihat: 'x.x.x.x.x.......' }
+  },
+  trap: {
+    description: 'Trap: half-time clap, 808 kick and hi-hat rolls',
+    variations: [
+      { kick: 'X......x..X.....', clap: '........X.......', hihat: 'x.x.x.x.x.x.x3x.' },
+      { kick: 'X......x..X..x..', clap: '........X.......', hihat: 'xxx.x.x4x.x.xx3x' }
+    ],
+    fill: { kick: 'X......x..X.....', clap: '........X...x.x.', hihat: '2222333344444444' }
+  }
+};
+
+const DEFAULT_PATTERN = 'four-on-the-floor';
+
+class DrumPatterns {
+  /**
+   * Names of all patterns
+   */
+  static list() {
+    return Object.keys(PATTERNS);
+  }
+
+  /**
+   * Whether a pattern exists
+   */
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(PATTERNS, name);
+  }
+
+  /**
+   * Look up a pattern
+   * @returns {Object} { name, description, variations, fill } (grids per voice)
+   */
+  static get(name = DEFAULT_PATTERN) {
+    if (!DrumPatterns.has(name)) {
+      throw new Error(`Unknown drum pattern "${name}". Available patterns: ${DrumPatterns.list().join(', ')}`);
+    }
+    const pattern = PATTERNS[name];
+    return {
+      name,
+      description: pattern.description,
+      variations: pattern.variations.map(variation => ({ ...variation })),
+      fill: { ...pattern.fill }
+    };
+  }
+
+  /**
+   * Grids to play for one bar of a section: the first variation, with the
+   * others taking every fourth bar in turn, and the fill on a section's last bar
+   * @param {Object} pattern - Result of get()
+   * @param {number} bar - Bar index within the section
+   * @param {number} bars - Bars in the section
+   * @returns {Object} Grid per drum voice (voices the pattern does not use are absent)
+   */
+  static barGrids(pattern, bar, bars) {
+    const { variations } = pattern;
+    const variation = bar % 4 === 3 && variations.length > 1
+      ? variations[1 + (Math.floor(bar / 4) % (variations.length - 1))]
+      : variations[0];
+    return bars > 1 && bar === bars - 1 ? { ...variation, ...pattern.fill } : variation;
+  }
+
+  /**
+   * Hits of a grid
+   * @param {string} grid - 16-step grid
+   * @returns {Object[]} { step, offset (fraction of a step, for rolls), velocity (0-1), ghost }
+   */
+  static parseGrid(grid) {
+    const hits = [];
+    [...grid].forEach((symbol, step) => {
+      if (VELOCITIES[symbol] !== undefined) {
+        hits.push({ step, offset: 0, velocity: VELOCITIES[symbol], ghost: symbol === 'o' });
+      } else if (/[2-4]/.test(symbol)) {
+        const count = Number(symbol);
+        for (let i = 0; i < count; i++) {
+          const velocity = ROLL_VELOCITY.from + ((ROLL_VELOCITY.to - ROLL_VELOCITY.from) * i) / (count - 1);
+          hits.push({ step, offset: i / count, velocity, ghost: false });
+        }
+      }
+    });
+    return hits;
+  }
+}
+
+DrumPatterns.STEPS = STEPS;
+DrumPatterns.DRUM_VOICES = DRUM_VOICES;
+DrumPatterns.DEFAULT_PATTERN = DEFAULT_PATTERN;
+
+module.exports = DrumPatterns;
@@ -0,0 +1,157 @@
+/**
+ * Encoder Profiles Module
+ * Output codecs and containers. Video profiles encode every segment and the
+ * final video; teaser profiles turn a few seconds of the finished video into
+ * a looping preview.
+ *
+ * A video profile provides:
+ *   extension               - container file extension
+ *   videoOptions(enc, fps)  - ffmpeg video options (enc = encoder settings)
+ *   audioOptions(enc)       - ffmpeg audio options
+ *   concatOptions           - options for joining segments of this profile
+ *   subtitleCodec           - codec of the lyrics subtitle track in this container
+ * A teaser profile provides:
+ *   extension
+ *   teaserOptions(teaser)   - { complexFilter, outputOptions } for { fps, width }
+ */
+
+const PROFILES = {
+  'h264-mp4': {
+    description: 'H.264/AAC MP4 for YouTube and general playback',
+    kind: 'video',
+    extension: 'mp4',
+    // CRF quality capped at maxrate, a keyframe every half second (closed
+    // GOP, as YouTube recommends) and yuv420p for compatibility
+    videoOptions: (encoder, fps) => {
+      const options = [
+        '-c:v libx264',
+        `-preset ${encoder.preset}`,
+        `-crf ${encoder.crf}`,
+        '-profile:v high',
+        `-g ${Math.max(1, Math.round(fps / 2))}`,
+        '-bf 2',
+        '-flags +cgop',
+        '-pix_fmt yuv420p'
+      ];
+      if (encoder.maxrate) {
+        options.push(`-maxrate ${encoder.maxrate}`, `-bufsize ${encoder.bufsize || doubleRate(encoder.maxrate)}`);
+      }
+      return options;
+    },
+    // One sample rate for every segment (the silent intro/outro audio is
+    // 44.1 kHz, a user's track may not be), so they can be joined with -c copy
+    audioOptions: (encoder) => ['-c:a aac', `-b:a ${encoder.audioBitrate}`, '-ar 44100'],
+    concatOptions: ['-c copy', '-movflags +faststart'],
+    subtitleCodec: 'mov_text'
+  },
+  'vp9-webm': {
+    description: 'VP9/Opus WebM for the web',
+    kind: 'video',
+    extension: 'webm',
+    // Constant quality (CRF shifted to VP9's scale) with an optional bitrate cap
+    videoOptions: (encoder, fps) => [
+      '-c:v libvpx-vp9',
+      `-crf ${Math.min(63, encoder.crf + 8)}`,
+      `-b:v ${encoder.maxrate || 0}`,
+      '-deadline good',
+      '-cpu-used 2',
+      '-row-mt 1',
+      `-g ${Math.max(1, Math.round(fps * 2))}`,
+      '-pix_fmt yuv420p'
+    ],
+    audioOptions: (encoder) => ['-c:a libopus', `-b:a ${encoder.audioBitrate}`, '-ar 48000'],
+    concatOptions: ['-c copy'],
+    subtitleCodec: 'webvtt'
+  },
+  'prores-mov': {
+    description: 'ProRes 422 HQ / PCM MOV for video editors (large files)',
+    kind: 'video',
+    extension: 'mov',
+    videoOptions: () => [
+      '-c:v prores_ks',
+      '-profile:v 3',
+      '-vendor apl0',
+      '-pix_fmt yuv422p10le'
+    ],
+    audioOptions: () => ['-c:a pcm_s16le', '-ar 44100'],
+    concatOptions: ['-c copy'],
+    subtitleCodec: 'mov_text'
+  },
+  gif: {
+    description: 'Short looping GIF teaser (palette-optimized)',
+    kind: 'teaser',
+    extension: 'gif',
+    teaserOptions: (teaser) => ({
+      complexFilter: [
+        `[0:v]fps=${teaser.fps},scale=${teaser.width}:-2:flags=lanczos,split[frames][source]`,
+        '[source]palettegen=stats_mode=diff[palette]',
+        '[frames][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle'
+      ],
+      outputOptions: ['-loop 0']
+    })
+  },
+  webp: {
+    description: 'Short looping animated WebP teaser',
+    kind: 'teaser',
+    extension: 'webp',
+    teaserOptions: (teaser) => ({
+      complexFilter: [`[0:v]fps=${teaser.fps},scale=${teaser.width}:-2:flags=lanczos`],
+      outputOptions: ['-c:v libwebp', '-lossless 0', '-q:v 70', '-loop 0']
+    })
+  }
+};
+
+const DEFAULT_PROFILES = ['h264-mp4'];
+
+/**
+ * '8M' -> '16M'
+ */
+function doubleRate(rate) {
+  return `${parseFloat(rate) * 2}${rate.replace(/^[\d.]+/, '')}`;
+}
+
+class EncoderProfiles {
+  /**
+   * Names of all profiles
+   */
+  static list() {
+    return Object.keys(PROFILES);
+  }
+
+  /**
+   * Whether a profile exists
+   */
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(PROFILES, name);
+  }
+
+  /**
+   * Look up a profile
+   * @returns {Object} Profile definition with its name
+   */
+  static get(name) {
+    if (!EncoderProfiles.has(name)) {
+      throw new Error(`Unknown encoder profile "${name}". Available profiles: ${EncoderProfiles.list().join(', ')}`);
+    }
+    return { name, ...PROFILES[name] };
+  }
+
+  /**
+   * Check a profile selection
+   * @param {string[]} names - Selected profiles
+   * @returns {string[]} Human-readable problems (empty when valid)
+   */
+  static validate(names) {
+    const errors = names
+      .filter(name => !EncoderProfiles.has(name))
+      .map(name => `unknown encoder profile "${name}" (available: ${EncoderProfiles.list().join(', ')})`);
+    if (errors.length === 0 && !names.some(name => PROFILES[name].kind === 'video')) {
+      errors.push('at least one video profile is needed (teasers are cut from the finished video)');
+    }
+    return errors;
+  }
+}
+
+EncoderProfiles.DEFAULT_PROFILES = DEFAULT_PROFILES;
+
+module.exports = EncoderProfiles;
@@ -0,0 +1,72 @@
+/**
+ * Format Presets Module
+ * Named output formats: canvas size, frame rate and the matching encoder
+ * settings (bitrate caps follow YouTube's recommended upload bitrates)
+ */
+
+const FORMATS = {
+  'youtube-1080p': {
+    description: 'Landscape Full HD for regular YouTube videos',
+    resolution: { width: 1920, height: 1080, fps: 30 },
+    encoder: { maxrate: '8M', bufsize: '16M' }
+  },
+  '60fps': {
+    description: 'Landscape Full HD at 60 frames per second',
+    resolution: { width: 1920, height: 1080, fps: 60 },
+    encoder: { maxrate: '12M', bufsize: '24M' }
+  },
+  'youtube-4k': {
+    description: 'Landscape 4K UHD',
+    resolution: { width: 3840, height: 2160, fps: 30 },
+    encoder: { maxrate: '45M', bufsize: '90M' }
+  },
+  'shorts-9x16': {
+    description: 'Vertical 1080x1920 for YouTube Shorts',
+    resolution: { width: 1080, height: 1920, fps: 30 },
+    encoder: { maxrate: '8M', bufsize: '16M' }
+  },
+  'square-1x1': {
+    description: 'Square 1080x1080 for social feeds',
+    resolution: { width: 1080, height: 1080, fps: 30 },
+    encoder: { maxrate: '6M', bufsize: '12M' }
+  }
+};
+
+const DEFAULT_FORMAT = 'youtube-1080p';
+
+class FormatPresets {
+  /**
+   * Names of all formats
+   */
+  static list() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Whether a format exists
+   */
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, name);
+  }
+
+  /**
+   * Look up a format (the default format if name is omitted)
+   * @returns {Object} { name, description, resolution, encoder } (copies, safe to modify)
+   */
+  static get(name = DEFAULT_FORMAT) {
+    if (!FormatPresets.has(name)) {
+      throw new Error(`Unknown format "${name}". Available formats: ${FormatPresets.list().join(', ')}`);
+    }
+    const format = FORMATS[name];
+    return {
+      name,
+      description: format.description,
+      resolution: { ...format.resolution },
+      encoder: { ...format.encoder }
+    };
+  }
+}
+
+FormatPresets.DEFAULT_FORMAT = DEFAULT_FORMAT;
+
+module.exports = FormatPresets;
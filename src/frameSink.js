@@ -0,0 +1,192 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+/**
+ * Frame Sink Module
+ * Destinations for rendered frames: an ffmpeg process fed raw pixels over
+ * stdin (the default), or numbered PNG files on disk (debug output)
+ *
+ * Both sinks share one interface:
+ *   format          - buffer encoding the sink expects ('raw' or 'png')
+ *   writeFrame(n,b) - write frame n (frames must arrive in order)
+ *   close()         - finish writing; resolves when the output is complete
+ *   abort()         - stop after a failure and discard partial output
+ *   describe()      - metadata fields for the renderer (framesDir or segmentPaths)
+ */
+
+/**
+ * Writes each frame as <prefix>_000000.png into a directory
+ */
+class PngFrameSink {
+  /**
+   * @param {string} framesDir - Directory for the PNG files
+   * @param {string} prefix - File name prefix ('frame', 'intro', 'outro')
+   */
+  constructor(framesDir, prefix = 'frame') {
+    this.format = 'png';
+    this.framesDir = framesDir;
+    this.prefix = prefix;
+
+    if (!fs.existsSync(framesDir)) {
+      fs.mkdirSync(framesDir, { recursive: true });
+    }
+  }
+
+  async writeFrame(frameNum, buffer) {
+    // Write then rename, so an interrupted run never leaves a truncated frame behind
+    const framePath = this.framePath(frameNum);
+    fs.writeFileSync(`${framePath}.tmp`, buffer);
+    fs.renameSync(`${framePath}.tmp`, framePath);
+  }
+
+  /**
+   * Path of the PNG file for a frame
+   */
+  framePath(frameNum) {
+    const paddedFrameNum = String(frameNum).padStart(6, '0');
+    return path.join(this.framesDir, `${this.prefix}_${paddedFrameNum}.png`);
+  }
+
+  async close() {}
+
+  async abort() {}
+
+  describe() {
+    return { framesDir: this.framesDir };
+  }
+}
+
+/**
+ * Pipes raw BGRA frames (node-canvas 'raw' buffers) into ffmpeg's stdin and
+ * encodes them straight to one or more video segments (one ffmpeg process
+ * writes all of them), muxed with an audio file, with silence, or without audio
+ */
+class FfmpegFrameSink {
+  /**
+   * @param {Object[]} outputs - Segments to write: { profile, path, options } with the
+   *   complete ffmpeg output options of each (see VideoRenderer.createFrameSink)
+   * @param {Object} options - Stream options
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {number} options.fps - Frames per second
+   * @param {string} options.audioPath - Audio to mux in (silent if omitted)
+   * @param {boolean} options.videoOnly - Feed no audio input at all
+   * @param {number} options.firstFrame - Number of the first frame this segment receives (default 0)
+   */
+  constructor(outputs, options) {
+    this.format = 'raw';
+    this.outputs = outputs;
+    this.width = options.width;
+    this.height = options.height;
+    this.fps = options.fps;
+    this.audioPath = options.audioPath || null;
+    this.videoOnly = Boolean(options.videoOnly);
+    this.firstFrame = options.firstFrame || 0;
+    this.frameBytes = this.width * this.height * 4;
+    this.framesWritten = 0;
+    this.command = null;
+    this.input = null;
+    this.finished = null;
+    this.error = null;
+  }
+
+  /**
+   * Start the ffmpeg process (called on the first frame)
+   */
+  _start() {
+    // Buffer at most two frames; write() reports backpressure beyond that
+    this.input = new PassThrough({ highWaterMark: this.frameBytes * 2 });
+
+    this.command = ffmpeg()
+      .input(this.input)
+      .inputFormat('rawvideo')
+      .inputOptions([
+        '-pix_fmt bgra',
+        `-video_size ${this.width}x${this.height}`,
+        `-framerate ${this.fps}`
+      ]);
+
+    if (this.audioPath) {
+      this.command.input(this.audioPath);
+    } else if (!this.videoOnly) {
+      this.command
+        .input('anullsrc=channel_layout=stereo:sample_rate=44100')
+        .inputFormat('lavfi');
+    }
+
+    // fluent-ffmpeg applies outputOptions to the most recently added output
+    this.outputs.forEach(output => {
+      this.command.output(output.path).outputOptions(output.options);
+    });
+
+    this.finished = new Promise((resolve, reject) => {
+      this.command
+        .on('start', (cmd) => {
+          console.log('  FFmpeg command:', cmd);
+        })
+        .on('end', () => resolve())
+        .on('error', (err) => {
+          this.error = err;
+          reject(err);
+        })
+        .run();
+    });
+
+    // Failures are reported by the next writeFrame() or close()
+    this.finished.catch(() => {});
+  }
+
+  async writeFrame(frameNum, buffer) {
+    const expected = this.firstFrame + this.framesWritten;
+    if (frameNum !== expected) {
+      throw new Error(`Frame ${frameNum} written out of order (expected ${expected})`);
+    }
+    if (buffer.length !== this.frameBytes) {
+      throw new Error(`Frame ${frameNum} is ${buffer.length} bytes, expected ${this.frameBytes} (${this.width}x${this.height} BGRA)`);
+    }
+    if (!this.command) {
+      this._start();
+    }
+    if (this.error) {
+      throw this.error;
+    }
+
+    this.framesWritten++;
+    if (!this.input.write(buffer)) {
+      // Wait for ffmpeg to catch up, or fail if it exits while we wait
+      await Promise.race([
+        new Promise(resolve => this.input.once('drain', resolve)),
+        this.finished
+      ]);
+    }
+  }
+
+  async close() {
+    if (!this.command) {
+      throw new Error(`No frames were written to ${this.outputs.map(output => output.path).join(', ')}`);
+    }
+    this.input.end();
+    await this.finished;
+  }
+
+  async abort() {
+    if (this.command && !this.error) {
+      this.error = new Error('Frame stream aborted');
+      this.input.destroy();
+      this.command.kill('SIGKILL');
+    }
+    this.outputs.forEach(output => {
+      if (fs.existsSync(output.path)) {
+        fs.unlinkSync(output.path);
+      }
+    });
+  }
+
+  describe() {
+    return { segmentPaths: Object.fromEntries(this.outputs.map(output => [output.profile, output.path])) };
+  }
+}
+
+module.exports = { PngFrameSink, FfmpegFrameSink };
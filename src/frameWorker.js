@@ -0,0 +1,35 @@
+const { parentPort, workerData } = require('worker_threads');
+const VisualGenerator = require('./visualGenerator');
+
+/**
+ * Frame Worker
+ * Worker thread used by VisualGenerator to render the main visuals in parallel.
+ * workerData carries the canvas options, the sink's frame format and the
+ * scene; each message asks for a chunk of frames { chunk, start, end } and is
+ * answered with the encoded frames { chunk, frames } or { chunk, error }.
+ * Frames are transferred, not copied, to the main thread.
+ */
+
+const { options, format } = workerData;
+const generator = new VisualGenerator(null, options);
+const scene = generator.prepareScene(workerData.scene);
+
+/**
+ * A frame backed by its own ArrayBuffer, so transferring it detaches
+ * nothing else (small buffers may share Node's allocation pool)
+ */
+function ownedFrame(frame) {
+  return frame.byteOffset === 0 && frame.byteLength === frame.buffer.byteLength ? frame : new Uint8Array(frame);
+}
+
+parentPort.on('message', ({ chunk, start, end }) => {
+  try {
+    const frames = [];
+    for (let frameNum = start; frameNum < end; frameNum++) {
+      frames.push(ownedFrame(generator.encodeFrame(generator.renderFrame(frameNum, scene), format)));
+    }
+    parentPort.postMessage({ chunk, frames }, frames.map(frame => frame.buffer));
+  } catch (error) {
+    parentPort.postMessage({ chunk, error: error.message });
+  }
+});
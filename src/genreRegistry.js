@@ -0,0 +1,455 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DrumPatterns = require('./drumPatterns');
+const Groove = require('./groove');
+const MelodyGenerator = require('./melodyGenerator');
+const MusicTheory = require('./musicTheory');
+const { validateSchema } = require('./schema');
+
+/**
+ * Genre Registry Module
+ * Loads genre presets (music template + visual style) from JSON files in
+ * the built-in genres/ directory and the user's genre directory
+ */
+
+// Arrangement instruments (snare brings in the clap and hihat the open hat), rendered voices and synth settings
+const INSTRUMENT_NAMES = ['kick', 'snare', 'hihat', 'bass', 'chords', 'melody'];
+const RENDERED_VOICES = ['kick', 'snare', 'clap', 'hihat', 'openhat', 'bass', 'chords', 'melody'];
+const VOICE_NAMES = ['synth', 'bass', 'kick', 'hihat', 'openhat'];
+const SAMPLED_DRUM_NAMES = ['snare', 'clap'];
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+const voiceSchema = {
+  type: 'object',
+  properties: {
+    oscillator: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['sine', 'square', 'triangle', 'sawtooth', 'fmsine', 'amsine', 'fatsawtooth', 'fatsquare'] }
+      }
+    },
+    envelope: {
+      type: 'object',
+      properties: {
+        attack: { type: 'number', minimum: 0 },
+        decay: { type: 'number', minimum: 0 },
+        sustain: { type: 'number', minimum: 0, maximum: 1 },
+        release: { type: 'number', minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    volume: { type: 'number', minimum: -60, maximum: 12 }
+  }
+};
+
+// Snare and clap are synthesized samples rather than Tone.js synths
+const drumSampleSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    frequency: { type: 'number', minimum: 40, maximum: 1000 },
+    decay: { type: 'number', minimum: 0.01, maximum: 2 },
+    volume: { type: 'number', minimum: -60, maximum: 12 }
+  }
+};
+
+// Melody style (see MelodyGenerator.DEFAULTS)
+const melodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    motifBars: { type: 'integer', minimum: 1, maximum: 4 },
+    subdivision: { type: 'integer', enum: [1, 2, 4] },
+    notesPerBar: { type: 'integer', minimum: 1, maximum: 16 },
+    form: { type: 'array', minItems: 1, items: { type: 'string', enum: MelodyGenerator.FORM_STEPS } },
+    range: { type: 'integer', minimum: 2, maximum: 14 },
+    leap: { type: 'number', minimum: 0, maximum: 1 },
+    chordTones: { type: 'number', minimum: 0, maximum: 1 },
+    variation: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+// Swing, accents and per-voice humanization (see Groove.DEFAULTS)
+const grooveSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    swing: { type: 'number', minimum: 50, maximum: 75 },
+    swingUnit: { type: 'string', enum: Object.keys(Groove.SWING_UNITS) },
+    accents: { type: 'string', pattern: new RegExp(`^[Xx.]{${Groove.ACCENT_STEPS}}$`) },
+    accentAmount: { type: 'number', minimum: 0, maximum: 1 },
+    instruments: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(RENDERED_VOICES.map(name => [name, {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          timing: { type: 'number', minimum: 0, maximum: 50 },
+          offset: { type: 'number', minimum: -50, maximum: 50 },
+          velocity: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              curve: { type: 'number', minimum: 0.25, maximum: 4 },
+              min: { type: 'number', minimum: 0, maximum: 1 },
+              max: { type: 'number', minimum: 0, maximum: 1 },
+              jitter: { type: 'number', minimum: 0, maximum: 0.5 }
+            }
+          }
+        }
+      }]))
+    }
+  }
+};
+
+const DRUM_PATTERN_SCHEMA = { type: 'string', enum: DrumPatterns.list() };
+
+// Tempo-relative ('8n.', '4t', '2m') or absolute (seconds) times
+const TIME_SCHEMA = { type: ['string', 'number'], pattern: /^\d+[nmt]\.?$/, minimum: 0 };
+
+const voiceEffectsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    filter: {
+      type: 'object',
+      required: ['frequency'],
+      additionalProperties: false,
+      properties: {
+        type: { type: 'string', enum: ['lowpass', 'highpass', 'bandpass'] },
+        frequency: { type: 'number', minimum: 20, maximum: 20000 },
+        q: { type: 'number', minimum: 0.1, maximum: 30 },
+        sweep: {
+          type: 'object',
+          required: ['rate', 'octaves'],
+          additionalProperties: false,
+          properties: {
+            rate: TIME_SCHEMA,
+            octaves: { type: 'number', minimum: 0, maximum: 8 }
+          }
+        }
+      }
+    },
+    bitcrush: {
+      type: 'object',
+      required: ['bits'],
+      additionalProperties: false,
+      properties: {
+        bits: { type: 'integer', minimum: 1, maximum: 16 }
+      }
+    },
+    sidechain: {
+      type: 'object',
+      required: ['depth', 'release'],
+      additionalProperties: false,
+      properties: {
+        depth: { type: 'number', minimum: 0, maximum: 1 },
+        release: { type: 'number', minimum: 0.01, maximum: 2 }
+      }
+    },
+    reverb: { type: 'number', minimum: 0, maximum: 1 },
+    delay: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const effectsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    reverb: {
+      type: 'object',
+      required: ['decay'],
+      additionalProperties: false,
+      properties: {
+        decay: { type: 'number', minimum: 0.1, maximum: 20 },
+        preDelay: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    delay: {
+      type: 'object',
+      required: ['time', 'feedback'],
+      additionalProperties: false,
+      properties: {
+        time: TIME_SCHEMA,
+        feedback: { type: 'number', minimum: 0, maximum: 0.95 }
+      }
+    },
+    voices: {
+      type: 'object',
+      additionalProperties: false,
+      properties: Object.fromEntries(RENDERED_VOICES.map(name => [name, voiceEffectsSchema]))
+    }
+  }
+};
+
+const PRESET_SCHEMA = {
+  type: 'object',
+  required: ['name', 'music', 'visual'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', pattern: /^[a-z0-9][a-z0-9_-]*$/ },
+    description: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    music: {
+      type: 'object',
+      required: ['tempo', 'duration'],
+      additionalProperties: false,
+      properties: {
+        tempo: { type: 'number', minimum: 20, maximum: 300 },
+        key: { type: 'string' },
+        mode: { type: 'string' },
+        melodyMode: { type: 'string' },
+        melody: melodySchema,
+        progression: { type: 'array', minItems: 1, items: { type: 'string' } },
+        scale: { type: 'array', minItems: 1, items: { type: 'string' } },
+        bassNotes: { type: 'array', minItems: 1, items: { type: 'string' } },
+        chords: { type: 'array', minItems: 1, items: { type: 'array', minItems: 1, items: { type: 'string' } } },
+        drums: DRUM_PATTERN_SCHEMA,
+        groove: grooveSchema,
+        arrangement: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['name', 'bars', 'instruments', 'density'],
+            additionalProperties: false,
+            properties: {
+              name: { type: 'string' },
+              bars: { type: 'integer', minimum: 1 },
+              instruments: { type: 'array', items: { type: 'string', enum: INSTRUMENT_NAMES } },
+              density: { type: 'number', minimum: 0, maximum: 1 },
+              drums: DRUM_PATTERN_SCHEMA
+            }
+          }
+        },
+        duration: {
+          type: 'object',
+          required: ['min', 'max'],
+          additionalProperties: false,
+          properties: {
+            min: { type: 'number', minimum: 10 },
+            max: { type: 'number', minimum: 10 }
+          }
+        },
+        instruments: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            ...Object.fromEntries(VOICE_NAMES.map(name => [name, voiceSchema])),
+            ...Object.fromEntries(SAMPLED_DRUM_NAMES.map(name => [name, drumSampleSchema]))
+          }
+        },
+        effects: effectsSchema
+      }
+    },
+    visual: {
+      type: 'object',
+      required: ['colors', 'backgroundColor', 'shapeType', 'particleCount', 'waveAmplitude'],
+      additionalProperties: false,
+      properties: {
+        colors: { type: 'array', minItems: 1, items: { type: 'string', pattern: HEX_COLOR } },
+        backgroundColor: { type: 'string', pattern: HEX_COLOR },
+        shapeType: { type: 'string', enum: ['geometric', 'organic', 'sharp', 'round'] },
+        particleCount: { type: 'integer', minimum: 0, maximum: 1000 },
+        waveAmplitude: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
+
+/**
+ * Raised when a preset file cannot be parsed or does not match the schema
+ */
+class GenrePresetError extends Error {
+  constructor(file, errors) {
+    super(`Invalid genre preset ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'GenrePresetError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+class GenreRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string[]} options.directories - Preset directories, later ones override earlier ones
+   */
+  constructor(options = {}) {
+    this.theory = new MusicTheory();
+    this.directories = options.directories || GenreRegistry.defaultDirectories();
+    this.genres = new Map();
+    this.load();
+  }
+
+  /**
+   * Built-in genres/ directory followed by the user's genre directory
+   * ($GENERATEVIDEOS_GENRES_DIR, or ~/.generatevideos/genres)
+   */
+  static defaultDirectories() {
+    return [
+      path.join(__dirname, '..', 'genres'),
+      process.env.GENERATEVIDEOS_GENRES_DIR || path.join(os.homedir(), '.generatevideos', 'genres')
+    ];
+  }
+
+  /**
+   * (Re)load every *.json preset from the configured directories
+   * Missing directories are skipped; invalid presets throw GenrePresetError
+   */
+  load() {
+    this.genres.clear();
+
+    this.directories.forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        return;
+      }
+
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+          const preset = this.loadFile(path.join(dir, file));
+          this.genres.set(preset.name, preset);
+        });
+    });
+
+    if (this.genres.size === 0) {
+      throw new Error(`No genre presets found in ${this.directories.join(', ')}`);
+    }
+  }
+
+  /**
+   * Read and validate a single preset file
+   * @param {string} file - Path to the JSON file
+   * @returns {Object} Preset with its source file attached
+   */
+  loadFile(file) {
+    let preset;
+    try {
+      preset = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new GenrePresetError(file, [`could not be parsed: ${error.message}`]);
+    }
+
+    const errors = this.validate(preset);
+    if (errors.length > 0) {
+      throw new GenrePresetError(file, errors);
+    }
+
+    return { ...preset, source: file };
+  }
+
+  /**
+   * Validate a preset object
+   * @returns {string[]} Human-readable problems (empty when valid)
+   */
+  validate(preset) {
+    const errors = validateSchema(preset, PRESET_SCHEMA);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const { music } = preset;
+    if (music.duration.min > music.duration.max) {
+      errors.push('music.duration.min must not be greater than music.duration.max');
+    }
+
+    // Sends need the bus they feed
+    const effects = music.effects || {};
+    Object.entries(effects.voices || {}).forEach(([voice, settings]) => {
+      ['reverb', 'delay'].forEach(bus => {
+        if (settings[bus] > 0 && !effects[bus]) {
+          errors.push(`music.effects.voices.${voice}.${bus} sends to a ${bus} bus, but music.effects.${bus} is not defined`);
+        }
+      });
+    });
+
+    const grooveVoices = (music.groove && music.groove.instruments) || {};
+    Object.entries(grooveVoices).forEach(([voice, settings]) => {
+      const { min = 0, max = 1 } = settings.velocity || {};
+      if (min > max) {
+        errors.push(`music.groove.instruments.${voice}.velocity.min must not be greater than max`);
+      }
+    });
+
+    // Explicit notes are in key/mode too (--key transposes them)
+    if (music.key && !this.theory.isValidKey(music.key)) {
+      errors.push(`music.key "${music.key}" is not a note name such as C, F# or Bb`);
+    }
+    ['mode', 'melodyMode'].forEach(field => {
+      if (music[field] && !this.theory.isValidMode(music[field])) {
+        errors.push(`music.${field} "${music[field]}" must be one of: ${this.theory.listModes().join(', ')}`);
+      }
+    });
+    if (music.progression) {
+      music.progression.forEach((numeral, i) => {
+        try {
+          this.theory.chordFromNumeral('C', 'major', numeral);
+        } catch (error) {
+          errors.push(`music.progression[${i}]: ${error.message}`);
+        }
+      });
+    } else {
+      ['scale', 'bassNotes', 'chords'].forEach(field => {
+        if (!music[field]) {
+          errors.push(`music.${field} is required when music.progression is not given`);
+        }
+      });
+      const notes = [
+        ...(music.scale || []).map((note, i) => [`music.scale[${i}]`, note]),
+        ...(music.bassNotes || []).map((note, i) => [`music.bassNotes[${i}]`, note]),
+        ...(music.chords || []).flatMap((chord, i) => chord.map((note, j) => [`music.chords[${i}][${j}]`, note]))
+      ];
+      notes.forEach(([where, note]) => {
+        try {
+          this.theory.noteToMidi(note);
+        } catch (error) {
+          errors.push(`${where}: ${error.message}`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Names of all loaded genres
+   */
+  list() {
+    return [...this.genres.keys()];
+  }
+
+  /**
+   * Whether a genre is available
+   */
+  has(name) {
+    return this.genres.has(name);
+  }
+
+  /**
+   * Full preset for a genre
+   */
+  get(name) {
+    return this.genres.get(name);
+  }
+
+  /**
+   * Music template for a genre (falls back to electronic)
+   */
+  getMusicTemplate(name) {
+    return (this.get(name) || this.get('electronic') || this.genres.values().next().value).music;
+  }
+
+  /**
+   * Visual style for a genre (falls back to electronic)
+   */
+  getVisualStyle(name) {
+    return (this.get(name) || this.get('electronic') || this.genres.values().next().value).visual;
+  }
+}
+
+GenreRegistry.GenrePresetError = GenrePresetError;
+
+module.exports = GenreRegistry;
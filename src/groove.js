@@ -0,0 +1,160 @@
+/**
+ * Groove Module
+ * Humanizes composed note events: swing, a per-bar accent pattern, and per
+ * instrument velocity curves, velocity jitter and micro-timing (a constant
+ * push or drag plus seeded jitter)
+ *
+ * Events come in on the straight grid and go out with the humanized times,
+ * so the renderer, the MIDI export and the audio analysis behind the
+ * visuals all see the same performance.
+ */
+
+const BEATS_PER_BAR = 4;
+const ACCENT_STEPS = 16; // the accent grid covers one bar of sixteenths
+const SWING_UNITS = { '8n': 0.5, '16n': 0.25 }; // length of a swung note in beats
+const ACCENT_LEVELS = { X: 1, x: 0.5, '.': 0 };
+
+const DEFAULTS = {
+  swing: 50, // percent of a pair of swing units taken by the first note (50 straight, 66 triplet feel)
+  swingUnit: '16n',
+  accents: null, // 16-step grid: 'X' full velocity, 'x' half the accent amount off, '.' the full amount off
+  accentAmount: 0.2, // velocity taken off unaccented steps
+  instruments: {} // per voice: { timing, offset (ms), velocity: { curve, min, max, jitter } }
+};
+
+const INSTRUMENT_DEFAULTS = {
+  timing: 0, // random offset of up to this many milliseconds either way
+  offset: 0, // constant offset in milliseconds (positive plays behind the beat)
+  velocity: {
+    curve: 1, // exponent applied to the velocity (above 1 softens, below 1 hardens)
+    min: 0, // velocity range the curve is scaled into
+    max: 1,
+    jitter: 0 // random change of up to this much either way
+  }
+};
+
+class Groove {
+  /**
+   * @param {Object} settings - Groove settings (see DEFAULTS)
+   */
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULTS, ...settings };
+  }
+
+  /**
+   * Humanize every voice's events
+   * Each voice draws from its own fork of the generator, so changing one
+   * part does not move the others.
+   * @param {Object} events - Note events per voice, times in seconds on the grid
+   * @param {number} tempo - Tempo in BPM
+   * @param {SeededRandom} random - Generator for timing and velocity jitter
+   * @returns {Object} New events per voice, sorted by time
+   */
+  apply(events, tempo, random) {
+    const beatDuration = 60 / tempo;
+
+    return Object.fromEntries(Object.entries(events).map(([voice, list]) => {
+      const instrument = this._instrument(voice);
+      const voiceRandom = random.fork(voice);
+      const humanized = list.map(event => {
+        const beat = event.time / beatDuration;
+        const jitter = instrument.timing > 0 ? voiceRandom.float(-instrument.timing, instrument.timing) : 0;
+        const time = this.swing(beat) * beatDuration + (instrument.offset + jitter) / 1000;
+        return {
+          ...event,
+          time: Math.max(0, time),
+          velocity: this._velocity(event.velocity !== undefined ? event.velocity : 1, beat, instrument.velocity, voiceRandom)
+        };
+      });
+      humanized.sort((a, b) => a.time - b.time);
+      return [voice, humanized];
+    }));
+  }
+
+  /**
+   * Swung position of a beat position
+   * Within each pair of swing units the first unit is stretched to the
+   * swing percentage and the second squeezed, so notes on the beat stay
+   * put, off-beat units move late and notes in between follow smoothly.
+   * @param {number} beat - Position in beats on the straight grid
+   * @returns {number} Position in beats
+   */
+  swing(beat) {
+    const unit = SWING_UNITS[this.settings.swingUnit];
+    const ratio = this.settings.swing / 100;
+    const pair = 2 * unit;
+    const start = Math.floor(beat / pair) * pair;
+    const position = beat - start;
+    return position < unit
+      ? start + position * 2 * ratio
+      : start + pair * ratio + (position - unit) * 2 * (1 - ratio);
+  }
+
+  /**
+   * Straight-grid position of a swung beat position (the inverse of swing)
+   * Lets the visuals, which run on a steady clock, pulse with the swung notes.
+   * @param {number} beat - Position in beats on the steady clock
+   * @returns {number} Position in beats on the straight grid
+   */
+  unswing(beat) {
+    const unit = SWING_UNITS[this.settings.swingUnit];
+    const ratio = this.settings.swing / 100;
+    const pair = 2 * unit;
+    const start = Math.floor(beat / pair) * pair;
+    const position = beat - start;
+    return position < pair * ratio
+      ? start + position / (2 * ratio)
+      : start + unit + (position - pair * ratio) / (2 * (1 - ratio));
+  }
+
+  /**
+   * The swing settings, which are all the visuals need (see unswing)
+   */
+  toJSON() {
+    return { swing: this.settings.swing, swingUnit: this.settings.swingUnit };
+  }
+
+  /**
+   * Wrap stored settings (or pass a groove through)
+   */
+  static from(data) {
+    return data instanceof Groove ? data : new Groove(data);
+  }
+
+  /**
+   * Velocity after the accent pattern, the instrument's curve and jitter
+   */
+  _velocity(velocity, beat, curve, random) {
+    let result = velocity;
+
+    if (this.settings.accents) {
+      const step = Math.floor((beat % BEATS_PER_BAR) * (ACCENT_STEPS / BEATS_PER_BAR) + 1e-6) % ACCENT_STEPS;
+      const level = ACCENT_LEVELS[this.settings.accents[step]];
+      result *= 1 - this.settings.accentAmount * (1 - level);
+    }
+
+    result = curve.min + (curve.max - curve.min) * Math.pow(result, curve.curve);
+    if (curve.jitter > 0) {
+      result += random.float(-curve.jitter, curve.jitter);
+    }
+    return Math.max(0, Math.min(1, result));
+  }
+
+  /**
+   * A voice's settings with defaults filled in
+   */
+  _instrument(voice) {
+    const custom = this.settings.instruments[voice] || {};
+    return {
+      ...INSTRUMENT_DEFAULTS,
+      ...custom,
+      velocity: { ...INSTRUMENT_DEFAULTS.velocity, ...custom.velocity }
+    };
+  }
+}
+
+Groove.DEFAULTS = DEFAULTS;
+Groove.SWING_UNITS = SWING_UNITS;
+Groove.ACCENT_STEPS = ACCENT_STEPS;
+
+module.exports = Groove;
@@ -0,0 +1,186 @@
+/**
+ * Loudness Meter Module
+ * Measures integrated loudness (ITU-R BS.1770-4 / EBU R128, in LUFS) and
+ * true peak (dBTP, from 4x oversampling) of rendered audio
+ */
+
+const BLOCK_SECONDS = 0.4; // gating block length
+const BLOCK_STEP_SECONDS = 0.1; // 75% overlap between blocks
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated loudness
+const OVERSAMPLING = 4;
+const INTERPOLATION_TAPS = 12; // input samples per interpolated value
+
+class LoudnessMeter {
+  /**
+   * Integrated loudness of a programme
+   * @param {Float32Array[]} channels - Samples per channel (front channels, weight 1)
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {number} Loudness in LUFS (-Infinity for silence or audio shorter than one block)
+   */
+  integratedLoudness(channels, sampleRate) {
+    const weighted = channels.map(samples => this._kWeight(samples, sampleRate));
+    const blockLength = Math.round(BLOCK_SECONDS * sampleRate);
+    const step = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+    const length = channels[0].length;
+
+    // Mean square of every block, summed over channels
+    const powers = [];
+    for (let start = 0; start + blockLength <= length; start += step) {
+      let power = 0;
+      weighted.forEach(samples => {
+        let sum = 0;
+        for (let i = start; i < start + blockLength; i++) {
+          sum += samples[i] * samples[i];
+        }
+        power += sum / blockLength;
+      });
+      powers.push(power);
+    }
+
+    const loudness = power => -0.691 + 10 * Math.log10(power);
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const aboveAbsolute = powers.filter(power => loudness(power) > ABSOLUTE_GATE);
+    if (aboveAbsolute.length === 0) {
+      return -Infinity;
+    }
+    const relativeGate = loudness(mean(aboveAbsolute)) + RELATIVE_GATE;
+    const gated = aboveAbsolute.filter(power => loudness(power) > relativeGate);
+    return loudness(mean(gated));
+  }
+
+  /**
+   * True peak of the signal
+   * @returns {number} Peak in dBTP (-Infinity for silence)
+   */
+  truePeak(channels) {
+    let peak = 0;
+    this.peakEnvelope(channels).forEach(level => {
+      if (level > peak) {
+        peak = level;
+      }
+    });
+    return LoudnessMeter.toDecibels(peak);
+  }
+
+  /**
+   * Highest absolute level per sample across channels, including the
+   * inter-sample values up to the next sample (4x oversampled)
+   * @param {Float32Array[]} channels - Samples per channel
+   * @returns {Float32Array} Linear peak level per sample
+   */
+  peakEnvelope(channels) {
+    const length = channels[0].length;
+    const envelope = new Float32Array(length);
+    const phases = this._interpolationFilter();
+    const half = INTERPOLATION_TAPS / 2;
+
+    channels.forEach(samples => {
+      for (let i = 0; i < length; i++) {
+        let level = Math.abs(samples[i]);
+        for (let p = 1; p < OVERSAMPLING; p++) {
+          const taps = phases[p];
+          let value = 0;
+          for (let t = 0; t < INTERPOLATION_TAPS; t++) {
+            const index = i - half + 1 + t;
+            if (index >= 0 && index < length) {
+              value += samples[index] * taps[t];
+            }
+          }
+          level = Math.max(level, Math.abs(value));
+        }
+        if (level > envelope[i]) {
+          envelope[i] = level;
+        }
+      }
+    });
+
+    return envelope;
+  }
+
+  /**
+   * Linear amplitude to decibels
+   */
+  static toDecibels(level) {
+    return 20 * Math.log10(level);
+  }
+
+  /**
+   * Decibels to linear amplitude
+   */
+  static fromDecibels(decibels) {
+    return Math.pow(10, decibels / 20);
+  }
+
+  /**
+   * Apply the BS.1770 K-weighting filter (high shelf, then high pass), with
+   * coefficients derived for the actual sample rate
+   */
+  _kWeight(samples, sampleRate) {
+    // Stage 1: +4 dB high shelf modelling the head
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+      b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+      a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    // Stage 2: RLB high pass at 38 Hz
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = {
+      b: [1, -2, 1],
+      a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    return this._biquad(this._biquad(samples, shelf), highPass);
+  }
+
+  /**
+   * Direct form I biquad
+   */
+  _biquad(samples, { b, a }) {
+    const output = new Float64Array(samples.length);
+    let x1 = 0;
+    let x2 = 0;
+    let y1 = 0;
+    let y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const x = samples[i];
+      const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+      x2 = x1;
+      x1 = x;
+      y2 = y1;
+      y1 = y;
+      output[i] = y;
+    }
+    return output;
+  }
+
+  /**
+   * Polyphase windowed-sinc interpolator: taps for the values 1/4, 2/4 and
+   * 3/4 of the way from each sample to the next
+   */
+  _interpolationFilter() {
+    if (!this.phases) {
+      const half = INTERPOLATION_TAPS / 2;
+      this.phases = Array.from({ length: OVERSAMPLING }, (_, p) => {
+        const fraction = p / OVERSAMPLING;
+        return Array.from({ length: INTERPOLATION_TAPS }, (__, t) => {
+          const x = t - half + 1 - fraction; // distance from the interpolated point
+          const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+          const window = 0.5 + 0.5 * Math.cos(Math.PI * x / half); // Hann
+          return sinc * window;
+        });
+      });
+    }
+    return this.phases;
+  }
+}
+
+module.exports = LoudnessMeter;
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Lyrics Module
+ * Timed lyric lines read from LRC or SRT files. Each line is
+ * { start, end, text, words } with times in seconds on the music's clock;
+ * words is null, or (for LRC files with <mm:ss.xx> word timestamps) a list
+ * of { start, end, from, to } where from/to index the word's characters in
+ * the line's text. Lyrics serialize as that plain list, so they can be
+ * handed to worker threads.
+ */
+
+const FORMATS = ['.lrc', '.srt'];
+const LAST_LINE_SECONDS = 4; // how long an LRC line without a following line stays up
+const MAX_LINE_SECONDS = 8; // LRC lines end at the next line, or after this long (or their last word)
+
+const LRC_TIME = /\[(\d+):(\d{1,2}(?:[.:]\d{1,3})?)\]/g;
+const LRC_WORD_TIME = /<(\d+:\d{1,2}(?:[.:]\d{1,3})?)>/;
+const LRC_TAG = /^\[([a-z]+):(.*)\]$/i;
+const SRT_TIME = /(\d+):(\d{2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d+):(\d{2}):(\d{2})[,.](\d{1,3})/;
+
+/**
+ * Raised when a lyrics file cannot be read or contains no timed lines
+ */
+class LyricsFileError extends Error {
+  constructor(file, message) {
+    super(`Cannot read lyrics file ${file}: ${message}`);
+    this.name = 'LyricsFileError';
+    this.file = file;
+  }
+}
+
+class Lyrics {
+  /**
+   * @param {Object[]} lines - { start, end, text, words } sorted by start
+   */
+  constructor(lines) {
+    this.lines = lines;
+  }
+
+  /**
+   * Read and parse a .lrc or .srt file
+   * @param {string} file - Path to the lyrics file
+   * @returns {Lyrics}
+   */
+  static read(file) {
+    const format = path.extname(file).toLowerCase();
+    if (!FORMATS.includes(format)) {
+      throw new LyricsFileError(file, `unsupported format "${format}" (use ${FORMATS.join(' or ')})`);
+    }
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new LyricsFileError(file, error.message);
+    }
+    return Lyrics.parse(text, format, file);
+  }
+
+  /**
+   * Parse lyrics file contents
+   * @param {string} text - File contents
+   * @param {string} format - '.lrc' or '.srt'
+   * @param {string} file - Name used in error messages
+   * @returns {Lyrics}
+   */
+  static parse(text, format, file = '<text>') {
+    const lines = (format === '.srt' ? Lyrics._parseSrt(text) : Lyrics._parseLrc(text))
+      .filter(line => line.text && line.end > line.start);
+    if (lines.length === 0) {
+      throw new LyricsFileError(file, 'no timed lines found');
+    }
+    return new Lyrics(lines);
+  }
+
+  /**
+   * Wrap stored lines (or pass lyrics through)
+   */
+  static from(data) {
+    return data instanceof Lyrics ? data : new Lyrics(data);
+  }
+
+  /**
+   * Index of the line showing at a time, or -1 between lines
+   */
+  indexAt(seconds) {
+    return this.lines.findIndex(line => line.start <= seconds && seconds < line.end);
+  }
+
+  /**
+   * How far karaoke highlighting has got through a line's text at a time
+   * @returns {number} Characters sung, fractional within the current word
+   */
+  sungLength(line, seconds) {
+    return (line.words || []).reduce((sung, word) => {
+      if (seconds >= word.end) {
+        return Math.max(sung, word.to);
+      }
+      if (seconds >= word.start) {
+        return Math.max(sung, word.from + ((word.to - word.from) * (seconds - word.start)) / (word.end - word.start));
+      }
+      return sung;
+    }, 0);
+  }
+
+  /**
+   * Lines that start within the first `duration` seconds, ending by then
+   * @returns {Lyrics}
+   */
+  clip(duration) {
+    return new Lyrics(this.lines
+      .filter(line => line.start < duration)
+      .map(line => ({ ...line, end: Math.min(line.end, duration) })));
+  }
+
+  /**
+   * SubRip text of the lyrics, shifted by an offset (such as the intro's length)
+   * @param {number} offset - Seconds added to every time
+   */
+  toSrt(offset = 0) {
+    return this.lines.map((line, i) => [
+      i + 1,
+      `${formatSrtTime(line.start + offset)} --> ${formatSrtTime(line.end + offset)}`,
+      line.text
+    ].join('\n')).join('\n\n') + '\n';
+  }
+
+  toJSON() {
+    return this.lines;
+  }
+
+  /**
+   * LRC: [mm:ss.xx] line tags (several for a repeated line), optional
+   * <mm:ss.xx> word tags (enhanced LRC) and an [offset:ms] tag, where a
+   * positive offset shows the lyrics earlier
+   */
+  static _parseLrc(text) {
+    let offset = 0;
+    const entries = [];
+
+    text.split(/\r?\n/).forEach(raw => {
+      const source = raw.trim();
+      const tag = LRC_TAG.exec(source);
+      if (tag) {
+        if (tag[1].toLowerCase() === 'offset') {
+          offset = (Number(tag[2]) || 0) / 1000;
+        }
+        return;
+      }
+
+      const times = [...source.matchAll(LRC_TIME)].map(match => Number(match[1]) * 60 + parseSeconds(match[2]));
+      if (times.length === 0) {
+        return;
+      }
+      const body = source.replace(LRC_TIME, '');
+      times.forEach(time => entries.push({ time, body, shift: time - times[0] }));
+    });
+
+    entries.sort((a, b) => a.time - b.time);
+    return entries.map((entry, i) => {
+      const start = entry.time - offset;
+      const { text, words } = parseLrcWords(entry.body, start, entry.shift - offset);
+      const next = i + 1 < entries.length ? entries[i + 1].time - offset : Infinity;
+      const sung = words ? Math.max(...words.map(word => word.end).filter(Number.isFinite)) : start;
+      const hold = next === Infinity ? LAST_LINE_SECONDS : MAX_LINE_SECONDS;
+      const end = Math.min(next, Math.max(start + hold, sung));
+      return {
+        start: Math.max(0, start),
+        end,
+        text,
+        words: words && words.map(word => ({ ...word, end: Number.isFinite(word.end) ? word.end : end }))
+      };
+    });
+  }
+
+  /**
+   * SRT: numbered blocks of a "00:00:01,000 --> 00:00:04,000" line and
+   * the text; formatting tags are dropped
+   */
+  static _parseSrt(text) {
+    return text.split(/\r?\n\s*\r?\n/).map(block => {
+      const rows = block.split(/\r?\n/);
+      const timing = rows.findIndex(row => SRT_TIME.test(row));
+      if (timing === -1) {
+        return null;
+      }
+      const t = SRT_TIME.exec(rows[timing]).slice(1).map(Number);
+      return {
+        start: t[0] * 3600 + t[1] * 60 + t[2] + t[3] / 1000,
+        end: t[4] * 3600 + t[5] * 60 + t[6] + t[7] / 1000,
+        text: rows.slice(timing + 1)
+          .map(row => row.replace(/<[^>]+>|\{\\[^}]*\}/g, '').trim())
+          .filter(Boolean)
+          .join('\n'),
+        words: null
+      };
+    }).filter(Boolean).sort((a, b) => a.start - b.start);
+  }
+}
+
+/**
+ * '12.5' or '12:50' -> 12.5
+ */
+function parseSeconds(text) {
+  return Number(text.replace(':', '.'));
+}
+
+/**
+ * Split an LRC line body at its word tags
+ * The text is normalized to single spaces; each word's span in it is
+ * recorded so highlighting can follow the wrapped lines. A word ends at
+ * the next tag (a trailing tag closes the last word) or, without one, at
+ * the end of the line (Infinity here, filled in by the caller).
+ * @param {number} shift - Seconds added to word times (repeated lines, offset tag)
+ * @returns {Object} { text, words (null without word tags) }
+ */
+function parseLrcWords(body, lineStart, shift) {
+  const parts = body.split(LRC_WORD_TIME);
+  if (parts.length === 1) {
+    return { text: body.replace(/\s+/g, ' ').trim(), words: null };
+  }
+
+  let text = '';
+  const words = [];
+  const append = (segment, start) => {
+    let piece = segment.replace(/\s+/g, ' ');
+    if (text === '' || text.endsWith(' ')) {
+      piece = piece.replace(/^ /, '');
+    }
+    const from = text.length;
+    text += piece;
+    const to = text.replace(/ $/, '').length;
+    if (to > from && start !== null) {
+      words.push({ start, end: Infinity, from, to });
+    }
+  };
+
+  append(parts[0], null);
+  for (let i = 1; i < parts.length; i += 2) {
+    const [minutes, seconds] = parts[i].split(/:(.*)/s);
+    const time = Number(minutes) * 60 + parseSeconds(seconds) + shift;
+    if (words.length > 0 && words[words.length - 1].end === Infinity) {
+      words[words.length - 1].end = time;
+    }
+    append(parts[i + 1], Math.max(lineStart, time));
+  }
+
+  return { text: text.replace(/ $/, ''), words };
+}
+
+/**
+ * 3723.5 -> '01:02:03,500'
+ */
+function formatSrtTime(seconds) {
+  const milliseconds = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (value, width = 2) => String(value).padStart(width, '0');
+  return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:`
+    + `${pad(Math.floor(milliseconds / 1000) % 60)},${pad(milliseconds % 1000, 3)}`;
+}
+
+Lyrics.LyricsFileError = LyricsFileError;
+Lyrics.FORMATS = FORMATS;
+
+module.exports = Lyrics;
@@ -0,0 +1,173 @@
+const LoudnessMeter = require('./loudnessMeter');
+const SeededRandom = require('./random');
+
+/**
+ * Mastering Module
+ * Final processing of a rendered mix before it is written as 16-bit WAV:
+ * gain to a loudness target (YouTube normalizes to -14 LUFS), a look-ahead
+ * true-peak limiter and TPDF dither
+ *
+ * Gain and limiting are one gain curve shared by all channels, so the same
+ * curve applied to the stems keeps them summing to the mastered mix (stems
+ * are not dithered, which would add independent noise to each of them).
+ */
+
+const DEFAULTS = {
+  enabled: true,
+  lufs: -14, // integrated loudness target
+  truePeak: -1, // limiter ceiling in dBTP
+  dither: true
+};
+
+const LOOKAHEAD_SECONDS = 0.005;
+const RELEASE_SECONDS = 0.1;
+const DITHER_BITS = 16;
+
+class Mastering {
+  /**
+   * @param {Object} options - Mastering settings
+   * @param {boolean} options.enabled - Apply gain, limiter and dither (loudness is measured either way)
+   * @param {number} options.lufs - Integrated loudness target in LUFS (default -14)
+   * @param {number} options.truePeak - Limiter ceiling in dBTP (default -1)
+   * @param {boolean} options.dither - Add TPDF dither for 16-bit output (default true)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.meter = new LoudnessMeter();
+  }
+
+  /**
+   * Master a rendered mix (and its stems)
+   * @param {Object} rendered - Result of AudioRenderer.render()
+   * @param {number|string} seed - Seed for the dither noise, so output stays reproducible
+   * @returns {Object} { rendered (mastered copy), loudness }; loudness holds the input and
+   *   output integrated loudness (LUFS) and true peak (dBTP), the applied gain and the
+   *   limiter's largest gain reduction (dB)
+   */
+  process(rendered, seed = 0) {
+    const { sampleRate } = rendered;
+    const inputLoudness = this.meter.integratedLoudness(rendered.channels, sampleRate);
+    const envelope = this.meter.peakEnvelope(rendered.channels);
+    const inputPeak = LoudnessMeter.toDecibels(envelope.reduce((peak, level) => Math.max(peak, level), 0));
+
+    if (!this.options.enabled) {
+      return {
+        rendered,
+        loudness: this._report(inputLoudness, inputPeak, inputLoudness, inputPeak, 0, 0)
+      };
+    }
+
+    // Silence (or a clip shorter than one gating block) has no loudness to normalize
+    const gain = Number.isFinite(inputLoudness) ? this.options.lufs - inputLoudness : 0;
+    const curve = this._gainCurve(envelope, LoudnessMeter.fromDecibels(gain), sampleRate);
+    const random = new SeededRandom(seed).fork('dither');
+    const master = (channels, dither) => channels.map(samples => this._applyCurve(samples, curve, dither ? random : null));
+
+    const channels = master(rendered.channels, this.options.dither);
+    const stems = rendered.stems
+      ? Object.fromEntries(Object.entries(rendered.stems).map(([voice, stem]) => [voice, master(stem, false)]))
+      : rendered.stems;
+
+    let deepest = 1;
+    const linearGain = LoudnessMeter.fromDecibels(gain);
+    curve.forEach(value => {
+      deepest = Math.min(deepest, value / linearGain);
+    });
+
+    return {
+      rendered: { ...rendered, channels, stems },
+      loudness: this._report(
+        inputLoudness,
+        inputPeak,
+        this.meter.integratedLoudness(channels, sampleRate),
+        this.meter.truePeak(channels),
+        gain,
+        -LoudnessMeter.toDecibels(deepest)
+      )
+    };
+  }
+
+  /**
+   * Gain per sample: the loudness gain, pulled down wherever the gained
+   * signal's true peak would pass the ceiling
+   * The required gain is minimum-filtered over the look-ahead window, released
+   * slowly, then averaged over the same window, so the gain has already
+   * reached its value when a peak arrives without any step in the curve.
+   */
+  _gainCurve(envelope, gain, sampleRate) {
+    const length = envelope.length;
+    const ceiling = LoudnessMeter.fromDecibels(this.options.truePeak);
+    const lookahead = Math.max(1, Math.round(LOOKAHEAD_SECONDS * sampleRate));
+    const release = 1 - Math.exp(-1 / (RELEASE_SECONDS * sampleRate));
+
+    const required = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const level = envelope[i] * gain;
+      required[i] = level > ceiling ? ceiling / level : 1;
+    }
+
+    // Sliding minimum over [i, i + lookahead] (monotonic deque of indices)
+    const target = new Float32Array(length);
+    const deque = [];
+    let head = 0;
+    for (let i = length - 1; i >= 0; i--) {
+      while (deque.length > head && required[deque[deque.length - 1]] >= required[i]) {
+        deque.pop();
+      }
+      deque.push(i);
+      while (deque[head] > i + lookahead) {
+        head++;
+      }
+      target[i] = required[deque[head]];
+    }
+
+    // Drop instantly, recover with the release time
+    let smoothed = 1;
+    for (let i = 0; i < length; i++) {
+      smoothed = target[i] < smoothed ? target[i] : smoothed + (target[i] - smoothed) * release;
+      target[i] = smoothed;
+    }
+
+    // Moving average over the look-ahead window (the first value stands in before the start)
+    const curve = new Float32Array(length);
+    const first = target[0];
+    let sum = (lookahead + 1) * first;
+    for (let i = 0; i < length; i++) {
+      sum += target[i] - (i > lookahead ? target[i - lookahead - 1] : first);
+      curve[i] = (sum / (lookahead + 1)) * gain;
+    }
+    return curve;
+  }
+
+  /**
+   * Apply the gain curve to one channel, with TPDF dither of one 16-bit step when a generator is given
+   */
+  _applyCurve(samples, curve, random) {
+    const output = new Float32Array(samples.length);
+    const step = 1 / Math.pow(2, DITHER_BITS - 1);
+    for (let i = 0; i < samples.length; i++) {
+      const dither = random ? (random.next() - random.next()) * step : 0;
+      output[i] = samples[i] * curve[i] + dither;
+    }
+    return output;
+  }
+
+  /**
+   * Loudness figures rounded for metadata
+   */
+  _report(inputLoudness, inputPeak, outputLoudness, outputPeak, gain, limiterReduction) {
+    const round = value => (Number.isFinite(value) ? Math.round(value * 10) / 10 : null);
+    return {
+      integrated: round(outputLoudness),
+      truePeak: round(outputPeak),
+      input: { integrated: round(inputLoudness), truePeak: round(inputPeak) },
+      target: this.options.enabled ? this.options.lufs : null,
+      gain: round(gain),
+      limiterReduction: round(limiterReduction)
+    };
+  }
+}
+
+Mastering.DEFAULTS = DEFAULTS;
+
+module.exports = Mastering;
@@ -0,0 +1,282 @@
+const MusicTheory = require('./musicTheory');
+
+/**
+ * Melody Generator Module
+ * Builds a short motif from the template's scale and develops it across the
+ * arrangement: each phrase plays the motif a few times as written,
+ * transposed to follow the chords or varied, and its last note resolves.
+ *
+ * Notes are placed on a grid of `subdivision` steps per beat and pitched in
+ * scale degrees (0 = the scale's first note), so transposing and varying
+ * keep the melody in key. Strong beats lean towards the current chord's tones.
+ */
+
+const BEATS_PER_BAR = 4;
+const CHORD_BEATS = 8; // chords change every two bars (see MusicGenerator._buildEvents)
+const FORM_STEPS = ['motif', 'transpose', 'vary'];
+const MAX_NOTE_BEATS = 2; // notes hold until the next one, up to this long
+const MAX_ENDING_BEATS = 4; // a phrase's resolving note may ring longer
+
+// Style parameters; presets override them under music.melody
+const DEFAULTS = {
+  motifBars: 1, // motif length in bars
+  subdivision: 2, // grid steps per beat (1 quarters, 2 eighths, 4 sixteenths)
+  notesPerBar: 4, // motif notes per bar
+  form: ['motif', 'motif', 'transpose', 'vary'], // one entry per motif statement in a phrase
+  range: 7, // highest scale degree above the first
+  leap: 0.2, // chance of a leap (a third to a fifth) instead of a step
+  chordTones: 0.8, // chance a strong-beat note moves to the nearest chord tone
+  variation: 0.3 // chance each note of a varied statement moves
+};
+
+class MelodyGenerator {
+  /**
+   * @param {Object} style - Style parameters (see DEFAULTS)
+   */
+  constructor(style = {}) {
+    this.style = { ...DEFAULTS, ...style };
+    this.theory = new MusicTheory();
+  }
+
+  /**
+   * Melody events for every section that plays the melody
+   * Section density decides which motif notes sound: downbeats always, the
+   * third beat from 0.25, the other beats from 0.5 and off-beats from 0.75.
+   * @param {Object} template - Resolved template (tempo, scale, chords)
+   * @param {Object[]} sections - Arrangement sections (startBar, bars, instruments, density)
+   * @param {SeededRandom} random - Generator for the motif and its development
+   * @returns {Object[]} Events { time, note, duration (s), velocity }, in time order
+   */
+  generate(template, sections, random) {
+    const scale = this._scale(template.scale);
+    const chords = template.chords.map(chord => this._pitchClasses(chord));
+    const context = {
+      scale,
+      chords,
+      random,
+      beatDuration: 60 / template.tempo,
+      useFlats: template.scale.some(note => /^[A-G]b/.test(note))
+    };
+    const motif = this._buildMotif(scale, chords[0], random);
+    const events = [];
+
+    sections.filter(section => section.instruments.includes('melody')).forEach(section => {
+      const statementBars = this.style.motifBars;
+      const statements = Math.ceil(section.bars / statementBars);
+      const endBeat = (section.startBar + section.bars) * BEATS_PER_BAR;
+
+      for (let s = 0; s < statements; s++) {
+        const startBeat = (section.startBar + s * statementBars) * BEATS_PER_BAR;
+        const span = {
+          startBeat,
+          endBeat: Math.min(endBeat, startBeat + statementBars * BEATS_PER_BAR),
+          phraseEnd: s % this.style.form.length === this.style.form.length - 1 || s === statements - 1
+        };
+        const statement = this._develop(motif, this.style.form[s % this.style.form.length], startBeat, context);
+        events.push(...this._realize(statement, section, span, context));
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * The motif: a rhythm that favours beats over off-beats and always starts
+   * on the downbeat, pitched as a walk of steps and occasional leaps within
+   * the range, starting on a tone of the first chord
+   * @returns {Object[]} Notes { step, degree }
+   */
+  _buildMotif(scale, chord, random) {
+    const { motifBars, subdivision, notesPerBar, range, leap } = this.style;
+    const steps = motifBars * BEATS_PER_BAR * subdivision;
+    const count = Math.min(steps, notesPerBar * motifBars);
+
+    const candidates = [];
+    for (let step = 1; step < steps; step++) {
+      candidates.push({ step, weight: step % subdivision === 0 ? 3 : step % (subdivision / 2) === 0 ? 2 : 1 });
+    }
+    const onsets = [0];
+    while (onsets.length < count) {
+      const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+      let pick = random.float(0, total);
+      const index = candidates.findIndex(candidate => (pick -= candidate.weight) < 0);
+      onsets.push(candidates.splice(index === -1 ? candidates.length - 1 : index, 1)[0].step);
+    }
+    onsets.sort((a, b) => a - b);
+
+    const chordDegrees = [];
+    for (let degree = 0; degree <= range; degree++) {
+      if (chord.includes(this._pitchClassOf(scale, degree))) {
+        chordDegrees.push(degree);
+      }
+    }
+    let degree = chordDegrees.length > 0 ? random.pick(chordDegrees) : random.int(0, range + 1);
+
+    return onsets.map((step, i) => {
+      if (i > 0) {
+        const interval = random.next() < leap ? random.int(2, 5) : 1;
+        const direction = random.next() < 0.5 ? -1 : 1;
+        degree += interval * direction;
+        // Bounce back into the range instead of piling up at its edges
+        if (degree < 0 || degree > range) {
+          degree -= 2 * interval * direction;
+        }
+        degree = Math.max(0, Math.min(range, degree));
+        if (this._isStrong(step) && random.next() < this.style.chordTones) {
+          degree = this._nearestDegree(scale, degree, chord);
+        }
+      }
+      return { step, degree };
+    });
+  }
+
+  /**
+   * One statement of the motif: as written, transposed by the distance
+   * between the current chord's root and the first chord's root (in scale
+   * degrees, at most a fourth either way), or with some notes moved by a step or two
+   */
+  _develop(motif, step, startBeat, { scale, chords, random }) {
+    if (step === 'transpose') {
+      const chord = chords[Math.floor(startBeat / CHORD_BEATS) % chords.length];
+      let shift = this._rootDegree(scale, chord) - this._rootDegree(scale, chords[0]);
+      const size = scale.length;
+      shift = ((shift % size) + size) % size;
+      if (shift > size / 2) {
+        shift -= size;
+      }
+      return motif.map(note => ({ ...note, degree: note.degree + shift }));
+    }
+    if (step === 'vary') {
+      return motif.map((note, i) => (i > 0 && random.next() < this.style.variation
+        ? { ...note, degree: note.degree + random.pick([-2, -1, 1, 2]) }
+        : note));
+    }
+    return motif;
+  }
+
+  /**
+   * Place a statement's notes in time: drop the ones the section's density
+   * leaves out, fit strong beats to the chord underneath and resolve the
+   * last note of a phrase to the tonic (or to the chord root when the chord
+   * does not contain the tonic)
+   */
+  _realize(statement, section, { startBeat, endBeat, phraseEnd }, { scale, chords, random, beatDuration, useFlats }) {
+    const { subdivision, range } = this.style;
+    const size = scale.length;
+
+    const notes = statement
+      .map(note => ({ ...note, beat: startBeat + note.step / subdivision }))
+      .filter(note => note.beat < endBeat && section.density >= this._minDensity(note.step));
+
+    return notes.map((note, i) => {
+      const chord = chords[Math.floor(note.beat / CHORD_BEATS) % chords.length];
+      const last = i === notes.length - 1;
+      let { degree } = note;
+
+      // Fold notes that development pushed far outside the range back by an octave
+      while (degree > range + 2) degree -= size;
+      while (degree < -2) degree += size;
+
+      if (phraseEnd && last) {
+        const tonic = this._pitchClassOf(scale, 0);
+        const target = chord.includes(tonic) ? [tonic] : [chord[0]];
+        degree = this._nearestDegree(scale, degree, target, chord);
+      } else if (this._isStrong(note.step) && random.next() < this.style.chordTones) {
+        degree = this._nearestDegree(scale, degree, chord);
+      }
+
+      const next = last ? endBeat : notes[i + 1].beat;
+      const holdBeats = Math.min(next - note.beat, phraseEnd && last ? MAX_ENDING_BEATS : MAX_NOTE_BEATS);
+      const accent = note.step % (BEATS_PER_BAR * subdivision) === 0 ? 0.6 : note.step % subdivision === 0 ? 0.5 : 0.4;
+
+      return {
+        time: note.beat * beatDuration,
+        note: this.theory.midiToNote(this._degreeToMidi(scale, degree), useFlats),
+        duration: holdBeats * beatDuration * 0.9,
+        velocity: accent + random.float(-0.05, 0.05)
+      };
+    });
+  }
+
+  /**
+   * Lowest density at which a grid step plays
+   */
+  _minDensity(step) {
+    const { subdivision } = this.style;
+    const position = step % (BEATS_PER_BAR * subdivision);
+    if (position === 0) return 0;
+    if (position === 2 * subdivision) return 0.25;
+    if (position % subdivision === 0) return 0.5;
+    return 0.75;
+  }
+
+  /**
+   * Downbeat or third beat of a bar
+   */
+  _isStrong(step) {
+    return step % (2 * this.style.subdivision) === 0;
+  }
+
+  /**
+   * One octave of the scale as ascending MIDI numbers (the closing tonic dropped)
+   */
+  _scale(noteNames) {
+    const pitches = noteNames.map(note => this.theory.noteToMidi(note)).sort((a, b) => a - b);
+    const octave = pitches.filter(pitch => pitch < pitches[0] + 12);
+    return octave.filter((pitch, i) => octave.indexOf(pitch) === i);
+  }
+
+  /**
+   * MIDI number of a scale degree (degrees beyond the octave wrap into the next)
+   */
+  _degreeToMidi(scale, degree) {
+    const size = scale.length;
+    return scale[((degree % size) + size) % size] + 12 * Math.floor(degree / size);
+  }
+
+  _pitchClassOf(scale, degree) {
+    return this._degreeToMidi(scale, degree) % 12;
+  }
+
+  _pitchClasses(notes) {
+    return notes.map(note => this.theory.noteToMidi(note) % 12);
+  }
+
+  /**
+   * Closest degree (preferring below on ties) whose pitch class is one of
+   * the targets; falls back to the fallback pitch classes, then to the degree itself
+   */
+  _nearestDegree(scale, degree, targets, fallback = null) {
+    for (let distance = 0; distance <= scale.length; distance++) {
+      for (const candidate of [degree - distance, degree + distance]) {
+        if (targets.includes(this._pitchClassOf(scale, candidate))) {
+          return candidate;
+        }
+      }
+    }
+    return fallback ? this._nearestDegree(scale, degree, fallback) : degree;
+  }
+
+  /**
+   * Degree of a chord's root, or of the scale note closest to it when the
+   * root is not in the scale (pentatonic melodies over diatonic chords)
+   */
+  _rootDegree(scale, chord) {
+    let best = 0;
+    let bestDistance = 12;
+    scale.forEach((pitch, degree) => {
+      const difference = Math.abs((pitch % 12) - chord[0]);
+      const distance = Math.min(difference, 12 - difference);
+      if (distance < bestDistance) {
+        best = degree;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+}
+
+MelodyGenerator.DEFAULTS = DEFAULTS;
+MelodyGenerator.FORM_STEPS = FORM_STEPS;
+
+module.exports = MelodyGenerator;
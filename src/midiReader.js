@@ -0,0 +1,229 @@
+const fs = require('fs');
+const TempoMap = require('./tempoMap');
+
+/**
+ * MIDI Reader Module
+ * Parses Standard MIDI Files (format 0 and 1) into notes with times in
+ * seconds, following the file's tempo map, plus its time and key signatures
+ */
+
+const DEFAULT_BPM = 120; // MIDI's tempo until the first tempo event
+
+/**
+ * Raised when a file is not a MIDI file this reader can use
+ */
+class MidiFileError extends Error {
+  constructor(file, message) {
+    super(`Cannot read MIDI file ${file}: ${message}`);
+    this.name = 'MidiFileError';
+    this.file = file;
+  }
+}
+
+class MidiReader {
+  /**
+   * Read and parse a .mid file
+   * @param {string} file - Path to the MIDI file
+   * @returns {Object} See parse()
+   */
+  read(file) {
+    let buffer;
+    try {
+      buffer = fs.readFileSync(file);
+    } catch (error) {
+      throw new MidiFileError(file, error.message);
+    }
+    return this.parse(buffer, file);
+  }
+
+  /**
+   * Parse MIDI file contents
+   * @param {Buffer} buffer - File contents
+   * @param {string} file - Name used in error messages
+   * @returns {Object} { format, ppq, tempoMap, timeSignatures, keySignature, tracks, duration }
+   *   tracks: [{ name, notes: [{ time, duration, note, velocity, channel, program }] }] with
+   *   times in seconds, MIDI note numbers and velocities 0-1; timeSignatures:
+   *   [{ time, beat, numerator, denominator }]; keySignature: { accidentals, minor } or null
+   */
+  parse(buffer, file = '<buffer>') {
+    if (buffer.length < 14 || buffer.toString('latin1', 0, 4) !== 'MThd') {
+      throw new MidiFileError(file, 'not a Standard MIDI File (no MThd header)');
+    }
+    const headerLength = buffer.readUInt32BE(4);
+    const format = buffer.readUInt16BE(8);
+    const trackCount = buffer.readUInt16BE(10);
+    const division = buffer.readUInt16BE(12);
+    if (format > 1) {
+      throw new MidiFileError(file, `format ${format} (independent sequences) is not supported`);
+    }
+    if (division & 0x8000) {
+      throw new MidiFileError(file, 'SMPTE time division is not supported');
+    }
+    const ppq = division;
+
+    // Read every track chunk (unknown chunk types are skipped, as the spec asks)
+    const rawTracks = [];
+    let offset = 8 + headerLength;
+    while (offset + 8 <= buffer.length && rawTracks.length < trackCount) {
+      const type = buffer.toString('latin1', offset, offset + 4);
+      const length = buffer.readUInt32BE(offset + 4);
+      const end = offset + 8 + length;
+      if (end > buffer.length) {
+        throw new MidiFileError(file, `chunk ${type} at byte ${offset} is truncated`);
+      }
+      if (type === 'MTrk') {
+        rawTracks.push(this._parseTrack(buffer, offset + 8, end, file));
+      }
+      offset = end;
+    }
+    if (rawTracks.length === 0) {
+      throw new MidiFileError(file, 'no tracks');
+    }
+
+    const tempoChanges = rawTracks.flatMap(track => track.tempos).map(tempo => ({
+      beat: tempo.tick / ppq,
+      bpm: 60000000 / tempo.microsecondsPerBeat
+    }));
+    const tempoMap = TempoMap.fromBeats(tempoChanges, DEFAULT_BPM);
+    const seconds = tick => tempoMap.timeAtBeat(tick / ppq);
+
+    const timeSignatures = rawTracks
+      .flatMap(track => track.timeSignatures)
+      .sort((a, b) => a.tick - b.tick)
+      .map(signature => ({
+        time: seconds(signature.tick),
+        beat: signature.tick / ppq,
+        numerator: signature.numerator,
+        denominator: signature.denominator
+      }));
+    const keySignature = rawTracks.map(track => track.keySignature).find(Boolean) || null;
+
+    const tracks = rawTracks.map(track => ({
+      name: track.name,
+      notes: track.notes.map(note => {
+        const time = seconds(note.tick);
+        return {
+          time,
+          duration: seconds(note.endTick) - time,
+          note: note.note,
+          velocity: note.velocity / 127,
+          channel: note.channel,
+          program: note.program
+        };
+      })
+    }));
+
+    const endTick = Math.max(...rawTracks.map(track => track.endTick));
+    return {
+      format,
+      ppq,
+      tempoMap,
+      timeSignatures: timeSignatures.length > 0 ? timeSignatures : [{ time: 0, beat: 0, numerator: 4, denominator: 4 }],
+      keySignature,
+      tracks,
+      duration: seconds(endTick)
+    };
+  }
+
+  /**
+   * Parse one MTrk chunk into ticks: notes, tempo and signature events
+   */
+  _parseTrack(buffer, start, end, file) {
+    const track = { name: null, notes: [], tempos: [], timeSignatures: [], keySignature: null, endTick: 0 };
+    const programs = new Array(16).fill(0);
+    const sounding = new Map(); // "channel:note" -> note-ons waiting for their note-off
+    let offset = start;
+    let tick = 0;
+    let runningStatus = null;
+
+    const readVariableLength = () => {
+      let value = 0;
+      let byte;
+      do {
+        if (offset >= end) {
+          throw new MidiFileError(file, 'track ends inside a variable-length value');
+        }
+        byte = buffer[offset++];
+        value = (value << 7) | (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    };
+
+    const noteOff = (channel, note) => {
+      const waiting = sounding.get(`${channel}:${note}`);
+      if (waiting && waiting.length > 0) {
+        waiting.shift().endTick = tick;
+      }
+    };
+
+    while (offset < end) {
+      tick += readVariableLength();
+      let status = buffer[offset];
+      if (status & 0x80) {
+        offset++;
+      } else if (runningStatus !== null) {
+        status = runningStatus;
+      } else {
+        throw new MidiFileError(file, `data byte without a status at byte ${offset}`);
+      }
+
+      if (status === 0xff) {
+        const type = buffer[offset++];
+        const length = readVariableLength();
+        const data = buffer.subarray(offset, offset + length);
+        offset += length;
+
+        if (type === 0x03 && track.name === null) {
+          track.name = data.toString('utf8');
+        } else if (type === 0x51 && length === 3) {
+          track.tempos.push({ tick, microsecondsPerBeat: data.readUIntBE(0, 3) });
+        } else if (type === 0x58 && length >= 2) {
+          track.timeSignatures.push({ tick, numerator: data[0], denominator: 2 ** data[1] });
+        } else if (type === 0x59 && length === 2 && !track.keySignature) {
+          track.keySignature = { accidentals: data.readInt8(0), minor: data[1] === 1 };
+        } else if (type === 0x2f) {
+          break;
+        }
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        // System exclusive: skip, and it cancels running status
+        const length = readVariableLength();
+        offset += length;
+        runningStatus = null;
+        continue;
+      }
+
+      runningStatus = status;
+      const command = status & 0xf0;
+      const channel = status & 0x0f;
+      const data1 = buffer[offset++];
+      const data2 = command === 0xc0 || command === 0xd0 ? 0 : buffer[offset++];
+
+      if (command === 0x90 && data2 > 0) {
+        const key = `${channel}:${data1}`;
+        const note = { tick, endTick: null, note: data1, velocity: data2, channel, program: programs[channel] };
+        track.notes.push(note);
+        sounding.set(key, [...(sounding.get(key) || []), note]);
+      } else if (command === 0x80 || command === 0x90) {
+        noteOff(channel, data1);
+      } else if (command === 0xc0) {
+        programs[channel] = data1;
+      }
+    }
+
+    track.endTick = tick;
+    // Notes still sounding at the end of the track stop there
+    track.notes.forEach(note => {
+      if (note.endTick === null) {
+        note.endTick = Math.max(tick, note.tick + 1);
+      }
+    });
+    return track;
+  }
+}
+
+MidiReader.MidiFileError = MidiFileError;
+
+module.exports = MidiReader;
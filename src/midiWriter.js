@@ -0,0 +1,230 @@
+const fs = require('fs');
+const MusicTheory = require('./musicTheory');
+
+/**
+ * MIDI Writer Module
+ * Writes a composition's note events as a type-1 Standard MIDI File: a
+ * conductor track (name, tempo, time and key signature) followed by one
+ * track per instrument, so the arrangement can be reused in a DAW
+ */
+
+const PPQ = 480; // ticks per quarter note
+
+// Drums use General MIDI channel 10 and its drum map; the other voices get a GM program
+const TRACKS = [
+  { voice: 'kick', name: 'Kick', channel: 9, drumNote: 36 },
+  { voice: 'snare', name: 'Snare', channel: 9, drumNote: 38 },
+  { voice: 'clap', name: 'Clap', channel: 9, drumNote: 39 },
+  { voice: 'hihat', name: 'Hi-Hat', channel: 9, drumNote: 42 },
+  { voice: 'openhat', name: 'Open Hi-Hat', channel: 9, drumNote: 46 },
+  { voice: 'bass', name: 'Bass', channel: 0, program: 38 },
+  { voice: 'chords', name: 'Chords', channel: 1, program: 89 },
+  { voice: 'melody', name: 'Melody', channel: 2, program: 80 }
+];
+
+class MidiWriter {
+  /**
+   * @param {Object} options - Writer options
+   * @param {number} options.ppq - Ticks per quarter note (default 480)
+   */
+  constructor(options = {}) {
+    this.ppq = options.ppq || PPQ;
+    this.theory = new MusicTheory();
+  }
+
+  /**
+   * Encode a composition as a Standard MIDI File
+   * @param {Object} score - What to write
+   * @param {number} score.tempo - Tempo in BPM
+   * @param {Object} score.events - Note events per voice (kick, snare, clap, hihat, openhat, bass, chords, melody), times in seconds
+   * @param {number} score.duration - Length in seconds (the tracks end there)
+   * @param {string} score.key - Key for the key signature (optional)
+   * @param {string} score.mode - Mode for the key signature (optional)
+   * @param {string} score.title - Sequence name (optional)
+   * @returns {Buffer} File contents
+   */
+  encode(score) {
+    const endTick = this._ticks(score.duration || 0, score.tempo);
+    const tracks = [
+      this._conductorTrack(score, endTick),
+      ...TRACKS.map(track => this._instrumentTrack(track, score, endTick))
+    ];
+
+    const header = Buffer.alloc(14);
+    header.write('MThd', 0);
+    header.writeUInt32BE(6, 4);
+    header.writeUInt16BE(1, 8); // format 1: simultaneous tracks
+    header.writeUInt16BE(tracks.length, 10);
+    header.writeUInt16BE(this.ppq, 12);
+
+    return Buffer.concat([header, ...tracks]);
+  }
+
+  /**
+   * Encode a composition and write it to a .mid file
+   */
+  write(outputPath, score) {
+    fs.writeFileSync(outputPath, this.encode(score));
+  }
+
+  /**
+   * Track 0: sequence name, tempo, 4/4 time and the key signature
+   */
+  _conductorTrack(score, endTick) {
+    const messages = [];
+    if (score.title) {
+      messages.push({ tick: 0, bytes: this._textMeta(0x03, score.title) });
+    }
+
+    const microsecondsPerBeat = Math.round(60000000 / score.tempo);
+    messages.push({
+      tick: 0,
+      bytes: [0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff]
+    });
+    messages.push({ tick: 0, bytes: [0xff, 0x58, 0x04, 4, 2, 24, 8] });
+
+    if (score.key && score.mode && this.theory.isValidKey(score.key) && this.theory.isValidMode(score.mode)) {
+      const { accidentals, minor } = this.theory.keySignature(score.key, score.mode);
+      messages.push({ tick: 0, bytes: [0xff, 0x59, 0x02, accidentals & 0xff, minor ? 1 : 0] });
+    }
+
+    return this._trackChunk(messages, endTick);
+  }
+
+  /**
+   * One instrument: track name, program change and its notes
+   */
+  _instrumentTrack(track, score, endTick) {
+    const { channel } = track;
+    const messages = [{ tick: 0, bytes: this._textMeta(0x03, track.name) }];
+    if (track.program !== undefined) {
+      messages.push({ tick: 0, bytes: [0xc0 | channel, track.program] });
+    }
+
+    const edges = [];
+    (score.events[track.voice] || []).forEach(event => {
+      const notes = track.drumNote !== undefined
+        ? [track.drumNote]
+        : (event.notes || [event.note]).map(note => this.theory.noteToMidi(note));
+      const start = this._ticks(event.time, score.tempo);
+      const end = start + Math.max(1, this._durationTicks(event.duration, score.tempo));
+      const velocity = Math.max(1, Math.min(127, Math.round((event.velocity !== undefined ? event.velocity : 1) * 127)));
+
+      notes.forEach(note => {
+        edges.push({ tick: end, on: false, note });
+        edges.push({ tick: start, on: true, note, velocity });
+      });
+    });
+    messages.push(...this._noteMessages(edges, channel));
+
+    return this._trackChunk(messages, endTick);
+  }
+
+  /**
+   * Note-on/off messages for a channel's note starts and ends
+   * A channel sounds each pitch at most once, so notes of the same pitch
+   * that overlap (the renderer plays them on separate voices) are joined:
+   * a note starting while the pitch sounds re-triggers it (off, then on),
+   * and the pitch is released when the last of them ends. Ends sort before
+   * starts on the same tick, so back-to-back notes retrigger cleanly.
+   * @param {Object[]} edges - { tick, on, note, velocity }
+   */
+  _noteMessages(edges, channel) {
+    const sounding = new Map();
+    const messages = [];
+    edges
+      .map((edge, index) => ({ ...edge, index }))
+      .sort((a, b) => a.tick - b.tick || a.on - b.on || a.index - b.index)
+      .forEach(({ tick, on, note, velocity }) => {
+        const count = sounding.get(note) || 0;
+        if (on) {
+          if (count > 0) {
+            messages.push({ tick, bytes: [0x80 | channel, note, 0] });
+          }
+          messages.push({ tick, bytes: [0x90 | channel, note, velocity] });
+          sounding.set(note, count + 1);
+        } else {
+          if (count === 1) {
+            messages.push({ tick, bytes: [0x80 | channel, note, 0] });
+          }
+          sounding.set(note, count - 1);
+        }
+      });
+    return messages;
+  }
+
+  /**
+   * Sort messages by time, write them with delta times and close the track
+   */
+  _trackChunk(messages, endTick) {
+    const sorted = messages
+      .map((message, index) => ({ ...message, index }))
+      .sort((a, b) => a.tick - b.tick || a.index - b.index);
+
+    const bytes = [];
+    let lastTick = 0;
+    sorted.forEach(message => {
+      bytes.push(...this._variableLength(message.tick - lastTick), ...message.bytes);
+      lastTick = message.tick;
+    });
+    bytes.push(...this._variableLength(Math.max(0, endTick - lastTick)), 0xff, 0x2f, 0x00);
+
+    const header = Buffer.alloc(8);
+    header.write('MTrk', 0);
+    header.writeUInt32BE(bytes.length, 4);
+    return Buffer.concat([header, Buffer.from(bytes)]);
+  }
+
+  /**
+   * Meta event carrying text (0x03 = track name)
+   */
+  _textMeta(type, text) {
+    const data = Buffer.from(String(text), 'utf8');
+    return [0xff, type, ...this._variableLength(data.length), ...data];
+  }
+
+  /**
+   * MIDI variable-length quantity (7 bits per byte, high bit = more bytes follow)
+   */
+  _variableLength(value) {
+    const bytes = [value & 0x7f];
+    let rest = value >> 7;
+    while (rest > 0) {
+      bytes.unshift((rest & 0x7f) | 0x80);
+      rest >>= 7;
+    }
+    return bytes;
+  }
+
+  /**
+   * Seconds to ticks at a constant tempo
+   */
+  _ticks(seconds, tempo) {
+    return Math.round((seconds * tempo / 60) * this.ppq);
+  }
+
+  /**
+   * Tone.js note length ('4n', '8n.', '8t', '1m') or seconds to ticks
+   */
+  _durationTicks(duration, tempo) {
+    if (typeof duration === 'number') {
+      return this._ticks(duration, tempo);
+    }
+
+    const match = /^(\d+)([nmt])(\.?)$/.exec(String(duration));
+    if (!match) {
+      throw new Error(`Unsupported note duration "${duration}"`);
+    }
+    const [, value, unit, dot] = match;
+    let beats = unit === 'm' ? Number(value) * 4 : 4 / Number(value);
+    if (unit === 't') {
+      beats *= 2 / 3;
+    }
+    if (dot) {
+      beats *= 1.5;
+    }
+    return Math.round(beats * this.ppq);
+  }
+}
+
+module.exports = MidiWriter;
@@ -1,6 +1,74 @@
-const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
+const SeededRandom = require('./random');
+const AudioAnalyzer = require('./audioAnalyzer');
+const AudioRenderer = require('./audioRenderer');
+const DrumPatterns = require('./drumPatterns');
+const Groove = require('./groove');
+const Mastering = require('./mastering');
+const MelodyGenerator = require('./melodyGenerator');
+const MidiReader = require('./midiReader');
+const MidiWriter = require('./midiWriter');
+const MusicTheory = require('./musicTheory');
+const GenreRegistry = require('./genreRegistry');
+
+const BEATS_PER_BAR = 4;
+const MIN_SECTION_BARS = 4; // shorter leftovers are merged into the previous section
+const DRUM_CHANNEL = 9; // General MIDI percussion (channel 10)
+// GM percussion notes per drum voice; other drum notes play on the closed hi-hat
+const DRUM_NOTE_VOICES = { 35: 'kick', 36: 'kick', 37: 'snare', 38: 'snare', 40: 'snare', 39: 'clap', 42: 'hihat', 44: 'hihat', 46: 'openhat' };
+const BASS_PROGRAMS = { min: 32, max: 39 }; // GM bass family
+const BASS_MAX_PITCH = 48; // parts averaging below C3 are treated as bass
+const GHOST_MIN_DENSITY = 0.5; // ghost notes are left out of sparser sections
+
+// Arrangement instrument that switches each drum voice on
+const DRUM_GROUPS = { kick: 'kick', snare: 'snare', clap: 'snare', hihat: 'hihat', openhat: 'hihat' };
+const DRUM_LENGTHS = { kick: '8n', snare: '16n', clap: '16n', hihat: '32n', openhat: '8n' };
+
+// Used for templates that do not declare their own arrangement
+const DEFAULT_ARRANGEMENT = [
+  { name: 'intro', bars: 8, instruments: ['hihat', 'chords'], density: 0.5 },
+  { name: 'verse', bars: 16, instruments: ['kick', 'snare', 'hihat', 'bass', 'chords'], density: 0.7 },
+  { name: 'chorus', bars: 16, instruments: ['kick', 'snare', 'hihat', 'bass', 'chords', 'melody'], density: 1 },
+  { name: 'outro', bars: 8, instruments: ['kick', 'hihat', 'chords'], density: 0.5 }
+];
+
+// Synth settings per voice; presets can override any of them under music.instruments
+const DEFAULT_INSTRUMENTS = {
+  synth: {
+    oscillator: { type: 'triangle' },
+    envelope: { attack: 0.05, decay: 0.2, sustain: 0.5, release: 1 }
+  },
+  bass: {
+    oscillator: { type: 'sine' },
+    envelope: { attack: 0.01, decay: 0.3, sustain: 0.4, release: 0.8 }
+  },
+  kick: {
+    pitchDecay: 0.05,
+    octaves: 5,
+    oscillator: { type: 'sine' },
+    envelope: { attack: 0.001, decay: 0.4, sustain: 0.01, release: 1.4 }
+  },
+  hihat: {
+    frequency: 200,
+    envelope: { attack: 0.001, decay: 0.1, release: 0.01 },
+    harmonicity: 5.1,
+    modulationIndex: 32,
+    resonance: 4000,
+    octaves: 1.5
+  },
+  openhat: {
+    frequency: 200,
+    envelope: { attack: 0.001, decay: 0.5, release: 0.1 },
+    harmonicity: 5.1,
+    modulationIndex: 32,
+    resonance: 4000,
+    octaves: 1.5,
+    volume: -6
+  },
+  // Sampled from seeded noise by the renderer (frequency is the snare body's pitch)
+  snare: { frequency: 180, decay: 0.2, volume: -4 },
+  clap: { decay: 0.15, volume: -6 }
+};
 
 /**
  * Music Generator Module
@@ -8,283 +76,525 @@ const { spawn } = require('child_process');
  */
 
 class MusicGenerator {
-  constructor() {
-    this.genreTemplates = {
-      electronic: {
-        tempo: 128,
-        scale: ['C4', 'D4', 'E4', 'G4', 'A4', 'C5'],
-        bassNotes: ['C2', 'G2', 'A2', 'F2'],
-        chords: [
-          ['C4', 'E4', 'G4'],
-          ['G3', 'B3', 'D4'],
-          ['A3', 'C4', 'E4'],
-          ['F3', 'A3', 'C4']
-        ],
-        duration: { min: 180, max: 300 } // 3-5 minutes in seconds
-      },
-      ambient: {
-        tempo: 80,
-        scale: ['C4', 'D4', 'F4', 'G4', 'A4', 'C5', 'D5'],
-        bassNotes: ['C2', 'F2', 'G2'],
-        chords: [
-          ['C4', 'E4', 'G4', 'B4'],
-          ['F3', 'A3', 'C4', 'E4'],
-          ['G3', 'B3', 'D4', 'F4']
-        ],
-        duration: { min: 180, max: 300 }
-      },
-      hiphop: {
-        tempo: 90,
-        scale: ['C4', 'D4', 'Eb4', 'F4', 'G4', 'Ab4', 'Bb4', 'C5'],
-        bassNotes: ['C2', 'Eb2', 'F2', 'G2'],
-        chords: [
-          ['C4', 'Eb4', 'G4'],
-          ['F3', 'Ab3', 'C4'],
-          ['G3', 'Bb3', 'D4']
-        ],
-        duration: { min: 180, max: 300 }
-      },
-      pop: {
-        tempo: 120,
-        scale: ['C4', 'D4', 'E4', 'F4', 'G4', 'A4', 'B4', 'C5'],
-        bassNotes: ['C2', 'F2', 'G2', 'A2'],
-        chords: [
-          ['C4', 'E4', 'G4'],
-          ['F3', 'A3', 'C4'],
-          ['G3', 'B3', 'D4'],
-          ['A3', 'C4', 'E4']
-        ],
-        duration: { min: 180, max: 300 }
-      },
-      techno: {
-        tempo: 140,
-        scale: ['C4', 'D4', 'F4', 'G4', 'A4', 'C5'],
-        bassNotes: ['C2', 'C2', 'D2', 'F2'],
-        chords: [
-          ['C4', 'F4', 'G4'],
-          ['D4', 'F4', 'A4'],
-          ['C4', 'E4', 'G4'],
-          ['F3', 'A3', 'C4']
-        ],
-        duration: { min: 180, max: 300 }
-      }
-    };
+  /**
+   * @param {GenreRegistry} genreRegistry - Shared genre presets (loaded from disk if omitted)
+   */
+  constructor(genreRegistry = null) {
+    this.audioAnalyzer = new AudioAnalyzer();
+    this.audioRenderer = new AudioRenderer();
+    this.midiReader = new MidiReader();
+    this.midiWriter = new MidiWriter();
+    this.theory = new MusicTheory();
+    this.genreRegistry = genreRegistry || new GenreRegistry();
   }
 
   /**
    * Generate music for a given genre
    * @param {string} genre - The music genre
    * @param {string} outputPath - Path to save the audio file
-   * @returns {Promise<Object>} Music metadata including tempo and duration
+   * @param {Object} options - Generation options
+   * @param {number|string} options.seed - Seed for reproducible output (random if omitted)
+   * @param {string} options.key - Key override ('C', 'F#', 'Bb', ...)
+   * @param {string} options.mode - Mode override ('major', 'minor', 'dorian', ...)
+   * @param {number} options.duration - Track length in seconds (random within the template range if omitted)
+   * @param {number} options.tempo - Tempo override in BPM
+   * @param {string} options.stemsDir - Also write one WAV per instrument (kick, snare, clap, hihat, openhat, bass, chords, melody) into this directory
+   * @param {string} options.midiPath - Where to write the composition as a MIDI file (default: next to the WAV, as .mid)
+   * @param {Object} options.mastering - { enabled, lufs, truePeak, dither } (see mastering.js; defaults to -14 LUFS, -1 dBTP, dithered)
+   * @returns {Promise<Object>} Music metadata including tempo, duration, key, seed, midiPath, stems (instrument to WAV path, or null),
+   *   loudness (measured LUFS and true peak, see Mastering.process) and groove (swing settings, see Groove.toJSON)
    */
-  async generateMusic(genre, outputPath) {
-    const template = this.genreTemplates[genre] || this.genreTemplates.electronic;
-    const duration = Math.floor(Math.random() * (template.duration.max - template.duration.min) + template.duration.min);
+  async generateMusic(genre, outputPath, options = {}) {
+    const template = this._resolveTemplate(this.genreRegistry.getMusicTemplate(genre), options);
+    const seed = options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+    const random = new SeededRandom(seed);
+    const duration = options.duration || random.int(template.duration.min, template.duration.max);
+    const sections = this._buildArrangement(template, duration);
+    const events = this._buildEvents(template, sections, random);
     
-    console.log(`Generating ${genre} music (${duration}s at ${template.tempo} BPM)...`);
+    console.log(`Generating ${genre} music (${duration}s at ${template.tempo} BPM in ${template.key} ${template.mode}, seed ${random.seed})...`);
+    console.log(`  Arrangement: ${sections.map(section => `${section.name} (${section.bars})`).join(' → ')}`);
     
     // Validate and sanitize output path
     const sanitizedOutputPath = path.resolve(outputPath);
     
-    // Create a JavaScript file that will use Tone.js to generate the music
-    const scriptContent = this._generateToneScript(template, duration, sanitizedOutputPath);
-    const scriptDir = path.dirname(sanitizedOutputPath);
-    const scriptPath = path.join(scriptDir, 'temp_music_script.js');
+    const { rendered, loudness } = this._master(await this.audioRenderer.render({
+      tempo: template.tempo,
+      duration,
+      instruments: template.instruments,
+      effects: template.effects,
+      events
+    }, { stems: Boolean(options.stemsDir) }), options.mastering, random.seed);
+    this.audioRenderer.writeWav(sanitizedOutputPath, rendered);
+    const stems = options.stemsDir ? this.audioRenderer.writeStems(path.resolve(options.stemsDir), rendered) : null;
     
-    fs.writeFileSync(scriptPath, scriptContent);
+    // The same events as MIDI, one track per instrument
+    const parsedPath = path.parse(sanitizedOutputPath);
+    const midiPath = path.resolve(options.midiPath || path.join(parsedPath.dir, `${parsedPath.name}.mid`));
+    this.midiWriter.write(midiPath, {
+      tempo: template.tempo,
+      duration,
+      key: template.key,
+      mode: template.mode,
+      title: `${genre} (seed ${random.seed})`,
+      events
+    });
+    console.log('Music generation complete!');
     
-    // Execute the script with Node.js using spawn for better security
-    try {
-      await new Promise((resolve, reject) => {
-        const child = spawn('node', [scriptPath], {
-          stdio: 'inherit'
-        });
-        
-        child.on('close', (code) => {
-          if (code === 0) {
-            resolve();
-          } else {
-            reject(new Error(`Music generation failed with code ${code}`));
-          }
-        });
-        
-        child.on('error', (err) => {
-          reject(err);
-        });
-      });
-      
-      fs.unlinkSync(scriptPath); // Clean up temp script
-      
+    return {
+      tempo: template.tempo,
+      duration: duration,
+      genre: genre,
+      key: template.key,
+      mode: template.mode,
+      progression: template.progression,
+      seed: random.seed,
+      sections: sections,
+      groove: new Groove(template.groove).toJSON(),
+      path: sanitizedOutputPath,
+      midiPath,
+      stems,
+      loudness
+    };
+  }
+
+  /**
+   * Build music metadata for an existing track instead of synthesizing one
+   * Probes the real duration and estimates tempo and beat phase so the
+   * visual stage can sync to audio we did not generate
+   * @param {string} genre - Genre whose visual style should be used
+   * @param {string} audioPath - Path to an MP3/WAV/FLAC/... file
+   * @param {Object} options - Options
+   * @param {number|string} options.seed - Seed for the visuals (random if omitted)
+   * @returns {Promise<Object>} Music metadata in the same shape as generateMusic
+   */
+  async loadAudio(genre, audioPath, options = {}) {
+    const resolvedPath = path.resolve(audioPath);
+    const seed = options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+    
+    console.log(`Loading ${path.basename(resolvedPath)}...`);
+    
+    const info = await this.audioAnalyzer.probe(resolvedPath);
+    const tempo = await this.analyzeTempo(resolvedPath);
+    
+    return {
+      tempo: tempo.bpm,
+      duration: info.duration,
+      genre: genre,
+      seed: SeededRandom.normalizeSeed(seed),
+      path: resolvedPath,
+      beatPhase: tempo.beatPhase,
+      beats: tempo.beats,
+      tempoConfidence: tempo.confidence,
+      sections: [],
+      midiPath: null,
+      stems: null,
+      loudness: null,
+      external: true
+    };
+  }
+
+  /**
+   * Render an existing MIDI file with a genre's instruments
+   * Drum-channel notes play on the drum voices, every other part on the
+   * bass, chords or melody voice (see _assignMidiParts). The file's tempo map
+   * is returned so the visuals follow its tempo changes.
+   * @param {string} genre - Genre whose instruments (and visual style) should be used
+   * @param {string} midiPath - Path to a .mid file (format 0 or 1)
+   * @param {string} outputPath - Path to save the audio file
+   * @param {Object} options - Options
+   * @param {number|string} options.seed - Seed for the visuals (random if omitted)
+   * @param {number} options.duration - Track length in seconds (default: the file's length plus a second for release tails)
+   * @param {string} options.stemsDir - Also write one WAV per instrument into this directory
+   * @param {Object} options.mastering - Mastering settings (see generateMusic)
+   * @returns {Promise<Object>} Music metadata in the same shape as generateMusic, plus tempoMap and timeSignature
+   */
+  async importMidi(genre, midiPath, outputPath, options = {}) {
+    const resolvedMidiPath = path.resolve(midiPath);
+    const template = this._resolveTemplate(this.genreRegistry.getMusicTemplate(genre));
+    const seed = options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+    const midi = this.midiReader.read(resolvedMidiPath);
+    const duration = options.duration || Math.ceil(midi.duration + 1);
+    const tempo = Math.round(midi.tempoMap.segments[0].bpm);
+    const { key, mode } = midi.keySignature
+      ? this.theory.keyFromSignature(midi.keySignature.accidentals, midi.keySignature.minor)
+      : {};
+    
+    console.log(`Rendering ${path.basename(resolvedMidiPath)} with ${genre} instruments (${duration}s, ${midi.tracks.length} tracks, ${midi.tempoMap.isConstant() ? `${tempo} BPM` : `${midi.tempoMap.segments.length} tempos from ${tempo} BPM`})...`);
+    
+    const parts = this._assignMidiParts(midi.tracks);
+    parts.forEach(part => console.log(`  ${part.name} → ${part.voice} (${part.notes.length} notes)`));
+    const events = this._midiEvents(parts, duration);
+    
+    const sanitizedOutputPath = path.resolve(outputPath);
+    const { rendered, loudness } = this._master(await this.audioRenderer.render({
+      tempo,
+      duration,
+      instruments: template.instruments,
+      effects: template.effects,
+      events
+    }, { stems: Boolean(options.stemsDir) }), options.mastering, seed);
+    this.audioRenderer.writeWav(sanitizedOutputPath, rendered);
+    const stems = options.stemsDir ? this.audioRenderer.writeStems(path.resolve(options.stemsDir), rendered) : null;
+    console.log('Music generation complete!');
+    
+    const [timeSignature] = midi.timeSignatures;
+    return {
+      tempo,
+      duration,
+      genre,
+      key,
+      mode,
+      seed: SeededRandom.normalizeSeed(seed),
+      path: sanitizedOutputPath,
+      beatPhase: 0,
+      tempoMap: midi.tempoMap.toJSON(),
+      timeSignature: { numerator: timeSignature.numerator, denominator: timeSignature.denominator },
+      sections: [],
+      midiPath: null,
+      stems,
+      loudness,
+      source: resolvedMidiPath
+    };
+  }
+
+  /**
+   * Master a rendered mix to the loudness target and log what was measured
+   */
+  _master(rendered, settings, seed) {
+    const result = new Mastering(settings).process(rendered, seed);
+    const { integrated, truePeak, input, limiterReduction } = result.loudness;
+    const reduction = limiterReduction > 0 ? `, limiter ${limiterReduction} dB` : '';
+    console.log(`  Loudness: ${input.integrated} → ${integrated} LUFS, true peak ${truePeak} dBTP${reduction}`);
+    return result;
+  }
+
+  /**
+   * Turn a template's key, mode and progression into concrete note lists
+   * Templates without a progression have explicit scale, bassNotes and
+   * chords: a key override transposes them, a mode override cannot be
+   * applied and is ignored with a warning. Otherwise a mode override
+   * re-derives the chord qualities for the new mode.
+   * @param {Object} template - Genre template
+   * @param {Object} overrides - Optional key, mode and tempo overrides
+   * @returns {Object} Template with scale, bassNotes and chords filled in
+   */
+  _resolveTemplate(template, overrides = {}) {
+    const instruments = this._resolveInstruments(template.instruments);
+    
+    if (!template.progression) {
+      const fromKey = template.key || 'C';
+      const key = overrides.key || fromKey;
+      const mode = template.mode || 'major';
+      if (overrides.mode && overrides.mode !== mode) {
+        console.warn(`Ignoring mode "${overrides.mode}": this genre lists its chords explicitly instead of a progression, so only the key can change`);
+      }
+      const transpose = notes => (key === fromKey ? notes : this.theory.transpose(notes, fromKey, key, mode));
       return {
-        tempo: template.tempo,
-        duration: duration,
-        genre: genre,
-        path: sanitizedOutputPath
+        ...template,
+        tempo: overrides.tempo || template.tempo,
+        instruments,
+        key,
+        mode,
+        scale: transpose(template.scale),
+        bassNotes: transpose(template.bassNotes),
+        chords: template.chords.map(transpose)
       };
-    } catch (error) {
-      if (fs.existsSync(scriptPath)) {
-        fs.unlinkSync(scriptPath);
-      }
-      throw error;
     }
+    
+    const key = overrides.key || template.key || 'C';
+    const mode = overrides.mode || template.mode || 'major';
+    const modeChanged = overrides.mode && overrides.mode !== template.mode;
+    const progression = modeChanged
+      ? this.theory.adaptProgression(template.progression, mode)
+      : template.progression;
+    
+    // A pentatonic melody scale follows the major/minor character of an overridden mode
+    let melodyMode = template.melodyMode || mode;
+    if (modeChanged) {
+      const isPentatonic = /Pentatonic$/.test(melodyMode);
+      const pentatonic = this.theory.isMinorMode(mode) ? 'minorPentatonic' : 'majorPentatonic';
+      melodyMode = isPentatonic ? pentatonic : mode;
+    }
+    
+    return {
+      ...template,
+      tempo: overrides.tempo || template.tempo,
+      instruments,
+      key,
+      mode,
+      progression,
+      scale: this.theory.buildScale(key, melodyMode, 4),
+      bassNotes: this.theory.progressionRoots(key, mode, progression, 2),
+      chords: this.theory.buildProgression(key, mode, progression)
+    };
   }
 
   /**
-   * Generate a Tone.js script for offline rendering
+   * Merge a preset's instrument overrides over the default synth settings
+   * (oscillator and envelope are merged key by key)
    */
-  _generateToneScript(template, duration, outputPath) {
-    return `
-const Tone = require('tone');
-const fs = require('fs');
+  _resolveInstruments(overrides = {}) {
+    const instruments = {};
+    
+    Object.keys(DEFAULT_INSTRUMENTS).forEach(voice => {
+      const base = DEFAULT_INSTRUMENTS[voice];
+      const custom = overrides[voice] || {};
+      instruments[voice] = {
+        ...base,
+        ...custom,
+        oscillator: { ...base.oscillator, ...custom.oscillator },
+        envelope: { ...base.envelope, ...custom.envelope }
+      };
+      ['oscillator', 'envelope'].forEach(part => {
+        if (!base[part] && !custom[part]) {
+          delete instruments[voice][part];
+        }
+      });
+    });
+    
+    return instruments;
+  }
 
-async function generateMusic() {
-  // Set up offline context
-  const context = new Tone.OfflineContext(2, ${duration}, 44100);
-  Tone.setContext(context);
-  
-  const tempo = ${template.tempo};
-  Tone.Transport.bpm.value = tempo;
-  
-  // Create instruments
-  const synth = new Tone.PolySynth(Tone.Synth, {
-    oscillator: { type: 'triangle' },
-    envelope: { attack: 0.05, decay: 0.2, sustain: 0.5, release: 1 }
-  }).toDestination();
-  
-  const bass = new Tone.Synth({
-    oscillator: { type: 'sine' },
-    envelope: { attack: 0.01, decay: 0.3, sustain: 0.4, release: 0.8 }
-  }).toDestination();
-  
-  const kick = new Tone.MembraneSynth({
-    pitchDecay: 0.05,
-    octaves: 5,
-    oscillator: { type: 'sine' },
-    envelope: { attack: 0.001, decay: 0.4, sustain: 0.01, release: 1.4 }
-  }).toDestination();
-  
-  const hihat = new Tone.MetalSynth({
-    frequency: 200,
-    envelope: { attack: 0.001, decay: 0.1, release: 0.01 },
-    harmonicity: 5.1,
-    modulationIndex: 32,
-    resonance: 4000,
-    octaves: 1.5
-  }).toDestination();
-  
-  // Music data
-  const scale = ${JSON.stringify(template.scale)};
-  const bassNotes = ${JSON.stringify(template.bassNotes)};
-  const chords = ${JSON.stringify(template.chords)};
-  
-  // Schedule music patterns
-  const beatDuration = 60 / tempo;
-  const totalBeats = Math.floor(${duration} / beatDuration);
-  
-  // Kick drum pattern (every beat)
-  for (let i = 0; i < totalBeats; i++) {
-    const time = i * beatDuration;
-    if (i % 2 === 0) {
-      kick.triggerAttackRelease('C1', '8n', time);
+  /**
+   * Lay the template's arrangement out over the track duration
+   * The first section opens and the last closes the track; the sections in
+   * between repeat until the remaining bars are used up; the last of them is
+   * cut short to fit, or a very short leftover extends the one before.
+   * @returns {Object[]} Sections with name, startBar, bars, start/end (s), instruments, density and drums (pattern name)
+   */
+  _buildArrangement(template, duration) {
+    const arrangement = template.arrangement || DEFAULT_ARRANGEMENT;
+    const barDuration = (60 / template.tempo) * BEATS_PER_BAR;
+    const totalBars = Math.floor(duration / barDuration);
+    
+    const opening = arrangement[0];
+    const closing = arrangement.length > 1 ? arrangement[arrangement.length - 1] : null;
+    const body = arrangement.slice(1, arrangement.length - 1);
+    const closingBars = closing ? Math.min(closing.bars, Math.max(0, totalBars - opening.bars)) : 0;
+    const bodyBars = Math.max(0, totalBars - opening.bars - closingBars);
+    
+    const layout = [{ ...opening, bars: Math.min(opening.bars, totalBars) }];
+    if (body.length > 0) {
+      let used = 0;
+      for (let i = 0; used < bodyBars; i++) {
+        const section = body[i % body.length];
+        const remaining = bodyBars - used;
+        if (remaining < MIN_SECTION_BARS && used > 0) {
+          layout[layout.length - 1].bars += remaining;
+          break;
+        }
+        const bars = Math.min(section.bars, remaining);
+        layout.push({ ...section, bars });
+        used += bars;
+      }
+    } else {
+      layout[0].bars += bodyBars;
     }
+    if (closingBars > 0) {
+      layout.push({ ...closing, bars: closingBars });
+    }
+    
+    let startBar = 0;
+    return layout.map(section => {
+      const result = {
+        name: section.name,
+        startBar,
+        bars: section.bars,
+        start: startBar * barDuration,
+        end: (startBar + section.bars) * barDuration,
+        instruments: section.instruments,
+        density: section.density,
+        drums: section.drums || template.drums || DrumPatterns.DEFAULT_PATTERN
+      };
+      startBar += section.bars;
+      return result;
+    });
   }
-  
-  // Hi-hat pattern (eighth notes)
-  for (let i = 0; i < totalBeats * 2; i++) {
-    const time = i * beatDuration / 2;
-    hihat.triggerAttackRelease('16n', time, Math.random() * 0.3 + 0.1);
-  }
-  
-  // Bass line (changes every 2 bars)
-  for (let i = 0; i < totalBeats / 4; i++) {
-    const time = i * beatDuration * 4;
-    const note = bassNotes[i % bassNotes.length];
-    bass.triggerAttackRelease(note, '2n', time);
+
+  /**
+   * Build the note events for every instrument, section by section
+   * All randomness is drawn here from the seeded generator so the rendering
+   * script itself is fully deterministic. Drums follow each section's
+   * pattern (see _buildDrums); the melody develops one motif across the
+   * sections in the template's melody style (see MelodyGenerator). Finally
+   * the template's groove swings and humanizes everything (see Groove).
+   */
+  _buildEvents(template, sections, random) {
+    const beatDuration = 60 / template.tempo;
+    const events = { kick: [], snare: [], clap: [], hihat: [], openhat: [], bass: [], chords: [], melody: [] };
+    
+    sections.forEach(section => {
+      const active = new Set(section.instruments);
+      const firstBeat = section.startBar * BEATS_PER_BAR;
+      const lastBeat = firstBeat + section.bars * BEATS_PER_BAR;
+      this._buildDrums(events, section, beatDuration);
+      
+      for (let beat = firstBeat; beat < lastBeat; beat++) {
+        const time = beat * beatDuration;
+        
+        // Bass line (every bar, on the root of the current chord)
+        const phrase = Math.floor(beat / (BEATS_PER_BAR * 2));
+        if (active.has('bass') && beat % BEATS_PER_BAR === 0) {
+          const note = template.bassNotes[phrase % template.bassNotes.length];
+          events.bass.push({ time, note, duration: '2n', velocity: 1 });
+        }
+        
+        // Chords every 2 bars
+        if (active.has('chords') && beat % (BEATS_PER_BAR * 2) === 0) {
+          const chord = template.chords[phrase % template.chords.length];
+          events.chords.push({ time, notes: chord, duration: '4n', velocity: 1 });
+        }
+      }
+    });
+    
+    events.melody = new MelodyGenerator(template.melody).generate(template, sections, random.fork('melody'));
+    return new Groove(template.groove).apply(events, template.tempo, random.fork('groove'));
   }
-  
-  // Melodic pattern (varies by section)
-  for (let i = 0; i < totalBeats / 8; i++) {
-    const time = i * beatDuration * 8;
-    const chord = chords[i % chords.length];
-    synth.triggerAttackRelease(chord, '4n', time);
+
+  /**
+   * Add one section's drum hits from its pattern, bar by bar
+   * The arrangement's kick, snare and hihat instruments switch the drum
+   * voices on (snare also brings in the clap, hihat the open hat). Hits
+   * land on the straight grid (swing is part of the groove), and ghost notes
+   * are left out of sparse sections.
+   */
+  _buildDrums(events, section, beatDuration) {
+    const pattern = DrumPatterns.get(section.drums);
+    const active = new Set(section.instruments);
+    const stepDuration = (beatDuration * BEATS_PER_BAR) / DrumPatterns.STEPS;
     
-    // Add some melody notes
-    for (let j = 0; j < 4; j++) {
-      const noteTime = time + j * beatDuration * 2;
-      const note = scale[Math.floor(Math.random() * scale.length)];
-      synth.triggerAttackRelease(note, '8n', noteTime, Math.random() * 0.3 + 0.3);
+    for (let bar = 0; bar < section.bars; bar++) {
+      const barStart = (section.startBar + bar) * BEATS_PER_BAR * beatDuration;
+      const grids = DrumPatterns.barGrids(pattern, bar, section.bars);
+      
+      Object.entries(grids).forEach(([voice, grid]) => {
+        if (!active.has(DRUM_GROUPS[voice])) {
+          return;
+        }
+        DrumPatterns.parseGrid(grid).forEach(hit => {
+          if (hit.ghost && section.density < GHOST_MIN_DENSITY) {
+            return;
+          }
+          const event = {
+            time: barStart + (hit.step + hit.offset) * stepDuration,
+            duration: DRUM_LENGTHS[voice],
+            velocity: hit.velocity
+          };
+          if (voice === 'kick') {
+            event.note = 'C1';
+          }
+          events[voice].push(event);
+        });
+      });
     }
   }
-  
-  // Start transport
-  Tone.Transport.start(0);
-  
-  // Render offline
-  const buffer = await context.render();
-  
-  // Convert to WAV format
-  const audioData = buffer.toArray();
-  const wavBuffer = createWavBuffer(audioData, 44100);
-  
-  fs.writeFileSync(${JSON.stringify(outputPath)}, wavBuffer);
-  console.log('Music generation complete!');
-}
 
-function createWavBuffer(audioData, sampleRate) {
-  const numChannels = audioData.length;
-  const length = audioData[0].length;
-  const bytesPerSample = 2;
-  const blockAlign = numChannels * bytesPerSample;
-  const byteRate = sampleRate * blockAlign;
-  const dataSize = length * blockAlign;
-  const bufferSize = 44 + dataSize;
-  
-  const buffer = Buffer.alloc(bufferSize);
-  let offset = 0;
-  
-  // RIFF header
-  buffer.write('RIFF', offset); offset += 4;
-  buffer.writeUInt32LE(bufferSize - 8, offset); offset += 4;
-  buffer.write('WAVE', offset); offset += 4;
-  
-  // fmt chunk
-  buffer.write('fmt ', offset); offset += 4;
-  buffer.writeUInt32LE(16, offset); offset += 4; // chunk size
-  buffer.writeUInt16LE(1, offset); offset += 2; // audio format (PCM)
-  buffer.writeUInt16LE(numChannels, offset); offset += 2;
-  buffer.writeUInt32LE(sampleRate, offset); offset += 4;
-  buffer.writeUInt32LE(byteRate, offset); offset += 4;
-  buffer.writeUInt16LE(blockAlign, offset); offset += 2;
-  buffer.writeUInt16LE(16, offset); offset += 2; // bits per sample
-  
-  // data chunk
-  buffer.write('data', offset); offset += 4;
-  buffer.writeUInt32LE(dataSize, offset); offset += 4;
-  
-  // audio data
-  for (let i = 0; i < length; i++) {
-    for (let channel = 0; channel < numChannels; channel++) {
-      const sample = Math.max(-1, Math.min(1, audioData[channel][i]));
-      const intSample = Math.floor(sample * 32767);
-      buffer.writeInt16LE(intSample, offset);
-      offset += 2;
-    }
+  /**
+   * Split MIDI tracks into parts (one per track and channel) and pick a voice for each
+   * Drum-channel notes go to the drum voice of their GM percussion note
+   * (unmapped ones to the closed hi-hat).
+   * Other parts are bass when they use a GM bass program or sit low, chords
+   * when at least half their notes start together with another, melody otherwise.
+   * @returns {Object[]} Parts with name, voice and notes
+   */
+  _assignMidiParts(tracks) {
+    const parts = [];
+    
+    tracks.forEach((track, index) => {
+      const byChannel = new Map();
+      track.notes.forEach(note => {
+        if (!byChannel.has(note.channel)) {
+          byChannel.set(note.channel, []);
+        }
+        byChannel.get(note.channel).push(note);
+      });
+      
+      byChannel.forEach((notes, channel) => {
+        const name = `${track.name || `Track ${index + 1}`}${byChannel.size > 1 ? ` (channel ${channel + 1})` : ''}`;
+        
+        if (channel === DRUM_CHANNEL) {
+          DrumPatterns.DRUM_VOICES.forEach(voice => {
+            const hits = notes.filter(note => (DRUM_NOTE_VOICES[note.note] || 'hihat') === voice);
+            if (hits.length > 0) {
+              parts.push({ name, voice, notes: hits });
+            }
+          });
+          return;
+        }
+        
+        const program = notes[0].program;
+        const averagePitch = notes.reduce((sum, note) => sum + note.note, 0) / notes.length;
+        const startCounts = new Map();
+        notes.forEach(note => startCounts.set(note.time, (startCounts.get(note.time) || 0) + 1));
+        const stacked = notes.filter(note => startCounts.get(note.time) > 1).length;
+        
+        let voice = 'melody';
+        if ((program >= BASS_PROGRAMS.min && program <= BASS_PROGRAMS.max) || averagePitch < BASS_MAX_PITCH) {
+          voice = 'bass';
+        } else if (stacked >= notes.length / 2) {
+          voice = 'chords';
+        }
+        parts.push({ name, voice, notes });
+      });
+    });
+    
+    return parts;
   }
-  
-  return buffer;
-}
 
-generateMusic().catch(console.error);
-`;
+  /**
+   * Turn assigned MIDI parts into renderer events (times and durations in seconds)
+   * Notes of a chords part that start and end together become one chord event;
+   * notes starting after the track ends are dropped.
+   */
+  _midiEvents(parts, duration) {
+    const events = { kick: [], snare: [], clap: [], hihat: [], openhat: [], bass: [], chords: [], melody: [] };
+    
+    parts.forEach(part => {
+      const notes = part.notes.filter(note => note.time < duration);
+      
+      if (part.voice === 'chords') {
+        const chords = new Map();
+        notes.forEach(note => {
+          const id = `${note.time}:${note.duration}`;
+          if (!chords.has(id)) {
+            chords.set(id, { time: note.time, notes: [], duration: note.duration, velocity: 0 });
+          }
+          const chord = chords.get(id);
+          chord.notes.push(this.theory.midiToNote(note.note));
+          chord.velocity = Math.max(chord.velocity, note.velocity);
+        });
+        events.chords.push(...chords.values());
+        return;
+      }
+      
+      notes.forEach(note => {
+        const event = { time: note.time, duration: note.duration, velocity: note.velocity };
+        if (part.voice === 'kick') {
+          event.note = 'C1';
+        } else if (!DrumPatterns.DRUM_VOICES.includes(part.voice)) {
+          event.note = this.theory.midiToNote(note.note);
+        }
+        events[part.voice].push(event);
+      });
+    });
+    
+    Object.values(events).forEach(list => list.sort((a, b) => a.time - b.time));
+    return events;
   }
 
   /**
-   * Analyze tempo from generated music file
+   * Analyze tempo and beat positions of an audio file
+   * Works on generated tracks (to check them against the template tempo)
+   * and on any other audio ffmpeg can decode
+   * @param {string} audioPath - Path to the audio file
+   * @param {Object} options - Detection options (minBpm, maxBpm)
+   * @returns {Promise<Object>} bpm, beatPhase, beats (timestamps in seconds), confidence (0-1)
    */
-  async analyzeTempo(audioPath) {
-    // For generated music, we already know the tempo from the template
-    // This is a placeholder for potential future tempo detection
-    throw new Error('Tempo analysis not implemented. Use the tempo from the genre template instead.');
+  async analyzeTempo(audioPath, options = {}) {
+    const result = await this.audioAnalyzer.detectTempo(path.resolve(audioPath), options);
+    console.log(`Detected ${result.bpm} BPM (${result.beats.length} beats, confidence ${result.confidence})`);
+    return result;
   }
 }
 
@@ -0,0 +1,305 @@
+/**
+ * Music Theory Module
+ * Builds scales and modes in any key and derives chords from
+ * roman-numeral progressions (I-V-vi-IV, i-VI-III-VII, ...)
+ */
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Major keys written with flats (F, Bb, Eb, Ab, Db, Gb)
+const FLAT_MAJOR_KEYS = [5, 10, 3, 8, 1, 6];
+
+// Intervals in semitones from the tonic, and the major key each mode borrows its spelling from
+const MODES = {
+  major: { intervals: [0, 2, 4, 5, 7, 9, 11], parentOffset: 0 },
+  ionian: { intervals: [0, 2, 4, 5, 7, 9, 11], parentOffset: 0 },
+  dorian: { intervals: [0, 2, 3, 5, 7, 9, 10], parentOffset: 2 },
+  phrygian: { intervals: [0, 1, 3, 5, 7, 8, 10], parentOffset: 4 },
+  lydian: { intervals: [0, 2, 4, 6, 7, 9, 11], parentOffset: 5 },
+  mixolydian: { intervals: [0, 2, 4, 5, 7, 9, 10], parentOffset: 7 },
+  minor: { intervals: [0, 2, 3, 5, 7, 8, 10], parentOffset: 9 },
+  aeolian: { intervals: [0, 2, 3, 5, 7, 8, 10], parentOffset: 9 },
+  locrian: { intervals: [0, 1, 3, 5, 6, 8, 10], parentOffset: 11 },
+  harmonicMinor: { intervals: [0, 2, 3, 5, 7, 8, 11], parentOffset: 9 },
+  melodicMinor: { intervals: [0, 2, 3, 5, 7, 9, 11], parentOffset: 9 },
+  majorPentatonic: { intervals: [0, 2, 4, 7, 9], parentOffset: 0, parentMode: 'major' },
+  minorPentatonic: { intervals: [0, 3, 5, 7, 10], parentOffset: 9, parentMode: 'minor' },
+  blues: { intervals: [0, 3, 5, 6, 7, 10], parentOffset: 9, parentMode: 'minor' }
+};
+
+const CHORD_INTERVALS = {
+  major: [0, 4, 7],
+  minor: [0, 3, 7],
+  diminished: [0, 3, 6],
+  augmented: [0, 4, 8]
+};
+
+const NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Chord roots are voiced between F3 and E4 so progressions stay in one register
+const CHORD_ROOT_LOW = 53;
+
+class MusicTheory {
+  /**
+   * Names of all supported modes
+   */
+  listModes() {
+    return Object.keys(MODES);
+  }
+
+  /**
+   * Check that a key name such as 'C', 'F#' or 'Bb' is valid
+   */
+  isValidKey(key) {
+    return /^[A-Ga-g][#b]?$/.test(String(key));
+  }
+
+  /**
+   * Check that a mode name is supported
+   */
+  isValidMode(mode) {
+    return Object.prototype.hasOwnProperty.call(MODES, mode);
+  }
+
+  /**
+   * Whether a mode has a minor third above the tonic
+   */
+  isMinorMode(mode) {
+    return this._diatonicIntervals(mode)[2] === 3;
+  }
+
+  /**
+   * Convert a note name ('Eb4', 'C#2') to a MIDI note number (C4 = 60)
+   */
+  noteToMidi(note) {
+    const match = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(note);
+    if (!match) {
+      throw new Error(`Invalid note name "${note}"`);
+    }
+    const [, letter, accidental, octave] = match;
+    return (parseInt(octave, 10) + 1) * 12 + this._pitchClass(letter + accidental);
+  }
+
+  /**
+   * Convert a MIDI note number to a note name
+   * @param {number} midi - MIDI note number
+   * @param {boolean} useFlats - Spell black keys as flats instead of sharps
+   */
+  midiToNote(midi, useFlats = false) {
+    const names = useFlats ? FLAT_NAMES : SHARP_NAMES;
+    return `${names[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+  }
+
+  /**
+   * Key signature of a key and mode, as written in notation and MIDI files
+   * @returns {Object} { accidentals: sharps (positive) or flats (negative), minor }
+   */
+  keySignature(key, mode) {
+    const parentMajor = (this._pitchClass(key) - this._getMode(mode).parentOffset + 12) % 12;
+    const fifths = (parentMajor * 7) % 12;
+    const accidentals = fifths > 0 && this._usesFlats(key, mode) ? fifths - 12 : fifths;
+    return { accidentals, minor: this.isMinorMode(mode) };
+  }
+
+  /**
+   * Key and mode of a key signature (the inverse of keySignature for major and minor)
+   * @param {number} accidentals - Sharps (positive) or flats (negative), -7 to 7
+   * @param {boolean} minor - Minor key
+   * @returns {Object} { key, mode }
+   */
+  keyFromSignature(accidentals, minor) {
+    const major = (((accidentals * 7) % 12) + 12) % 12;
+    const tonic = minor ? (major + 9) % 12 : major;
+    const names = accidentals < 0 ? FLAT_NAMES : SHARP_NAMES;
+    return { key: names[tonic], mode: minor ? 'minor' : 'major' };
+  }
+
+  /**
+   * Build a scale as note names, closed with the tonic an octave up
+   * (so a one-octave C major scale is C4 ... B4, C5)
+   * @param {string} key - Tonic ('C', 'F#', 'Bb', ...)
+   * @param {string} mode - Mode name (see listModes)
+   * @param {number} octave - Octave of the tonic
+   * @param {number} octaves - Number of octaves to span
+   * @returns {string[]} Note names
+   */
+  buildScale(key, mode, octave = 4, octaves = 1) {
+    const { intervals } = this._getMode(mode);
+    const tonic = (octave + 1) * 12 + this._pitchClass(key);
+    const useFlats = this._usesFlats(key, mode);
+    const notes = [];
+
+    for (let o = 0; o < octaves; o++) {
+      intervals.forEach(interval => {
+        notes.push(this.midiToNote(tonic + o * 12 + interval, useFlats));
+      });
+    }
+    notes.push(this.midiToNote(tonic + octaves * 12, useFlats));
+
+    return notes;
+  }
+
+  /**
+   * Build the chord for a roman numeral in a key
+   * Upper-case numerals are major, lower-case minor; a trailing '°' (or 'dim')
+   * makes it diminished and '+' augmented. '7' adds a minor seventh ('maj7' a
+   * major seventh; diminished chords get a half-diminished seventh). A leading
+   * 'b' or '#' moves the root off the scale degree (bVII, #iv°).
+   * @param {string} key - Tonic
+   * @param {string} mode - Mode the scale degrees are taken from
+   * @param {string} numeral - Roman numeral, e.g. 'vi', 'V7', 'bVII', 'ii°'
+   * @param {number} octave - Octave of the root (voiced between F3 and E4 if omitted)
+   * @returns {string[]} Chord note names
+   */
+  chordFromNumeral(key, mode, numeral, octave = null) {
+    const chord = this._parseNumeral(numeral);
+    const intervals = this._diatonicIntervals(mode);
+    const rootClass = (this._pitchClass(key) + intervals[chord.degree] + chord.accidental + 12) % 12;
+
+    let root;
+    if (octave === null) {
+      root = CHORD_ROOT_LOW + ((rootClass - CHORD_ROOT_LOW) % 12 + 12) % 12;
+    } else {
+      root = (octave + 1) * 12 + rootClass;
+    }
+
+    const tones = [...CHORD_INTERVALS[chord.quality]];
+    if (chord.seventh) {
+      tones.push(chord.seventh);
+    }
+
+    // Altered roots follow their accidental (bVII is spelled with flats even in C major)
+    const useFlats = chord.accidental !== 0 ? chord.accidental < 0 : this._usesFlats(key, mode);
+    return tones.map(interval => this.midiToNote(root + interval, useFlats));
+  }
+
+  /**
+   * Build every chord of a progression
+   * @returns {string[][]} One array of note names per numeral
+   */
+  buildProgression(key, mode, progression) {
+    return progression.map(numeral => this.chordFromNumeral(key, mode, numeral));
+  }
+
+  /**
+   * Move notes from one key to another by the nearest interval (up to a
+   * tritone either way, so they stay in their register), spelled for the new key
+   * @param {string[]} notes - Note names with octave
+   * @returns {string[]} Note names
+   */
+  transpose(notes, fromKey, toKey, mode = 'major') {
+    const shift = ((this._pitchClass(toKey) - this._pitchClass(fromKey) + 18) % 12) - 6;
+    const useFlats = this._usesFlats(toKey, mode);
+    return notes.map(note => this.midiToNote(this.noteToMidi(note) + shift, useFlats));
+  }
+
+  /**
+   * Root note of each chord of a progression in a given octave (for bass lines)
+   */
+  progressionRoots(key, mode, progression, octave = 2) {
+    return progression.map(numeral => this.chordFromNumeral(key, mode, numeral, octave)[0]);
+  }
+
+  /**
+   * Rewrite a progression so each chord takes the quality that is diatonic
+   * to another mode, keeping its degree, accidental and seventh
+   * Used when a key/mode override is applied to a template's progression,
+   * so I-V-vi-IV becomes i-v-VI-iv in minor.
+   */
+  adaptProgression(progression, mode) {
+    const intervals = this._diatonicIntervals(mode);
+
+    return progression.map(numeral => {
+      const chord = this._parseNumeral(numeral);
+      const root = intervals[chord.degree];
+      const third = (intervals[(chord.degree + 2) % 7] - root + 12) % 12;
+      const fifth = (intervals[(chord.degree + 4) % 7] - root + 12) % 12;
+
+      let base = NUMERALS[chord.degree];
+      let suffix = '';
+      if (third === 3) {
+        base = base.toLowerCase();
+        if (fifth === 6) suffix = '°';
+      } else if (fifth === 8) {
+        suffix = '+';
+      }
+
+      const accidental = chord.accidental === -1 ? 'b' : chord.accidental === 1 ? '#' : '';
+      const seventh = chord.seventh === 11 ? 'maj7' : chord.seventh ? '7' : '';
+      return `${accidental}${base}${suffix}${seventh}`;
+    });
+  }
+
+  /**
+   * Parse a roman numeral into degree, quality, accidental and seventh
+   */
+  _parseNumeral(numeral) {
+    const match = /^([b#]?)(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(°|o|dim|\+|aug)?(maj7|7)?$/.exec(String(numeral));
+    if (!match) {
+      throw new Error(`Invalid roman numeral "${numeral}"`);
+    }
+
+    const [, accidental, base, modifier, seventh] = match;
+    const isUpper = base === base.toUpperCase();
+    let quality = isUpper ? 'major' : 'minor';
+    if (modifier === '°' || modifier === 'o' || modifier === 'dim') quality = 'diminished';
+    if (modifier === '+' || modifier === 'aug') quality = 'augmented';
+
+    let seventhInterval = null;
+    if (seventh === 'maj7') seventhInterval = 11;
+    else if (seventh === '7') seventhInterval = 10;
+
+    return {
+      degree: NUMERALS.indexOf(base.toUpperCase()),
+      accidental: accidental === 'b' ? -1 : accidental === '#' ? 1 : 0,
+      quality,
+      seventh: seventhInterval
+    };
+  }
+
+  /**
+   * Seven-note intervals used for scale degrees; pentatonic and blues
+   * scales take their degrees from their parent mode
+   */
+  _diatonicIntervals(mode) {
+    const definition = this._getMode(mode);
+    return definition.parentMode ? MODES[definition.parentMode].intervals : definition.intervals;
+  }
+
+  /**
+   * Look up a mode, with a helpful error for unknown names
+   */
+  _getMode(mode) {
+    if (!this.isValidMode(mode)) {
+      throw new Error(`Unknown mode "${mode}". Available modes: ${this.listModes().join(', ')}`);
+    }
+    return MODES[mode];
+  }
+
+  /**
+   * Pitch class (0-11) of a key or note name without octave
+   */
+  _pitchClass(key) {
+    if (!this.isValidKey(key)) {
+      throw new Error(`Invalid key "${key}". Use a note name such as C, F# or Bb`);
+    }
+    const letter = key[0].toUpperCase();
+    const accidental = key[1] === '#' ? 1 : key[1] === 'b' ? -1 : 0;
+    return (PITCH_CLASSES[letter] + accidental + 12) % 12;
+  }
+
+  /**
+   * Whether notes in this key and mode are conventionally spelled with flats
+   */
+  _usesFlats(key, mode) {
+    if (key.length > 1) {
+      return key[1] === 'b';
+    }
+    const parentMajor = (this._pitchClass(key) - this._getMode(mode).parentOffset + 12) % 12;
+    return FLAT_MAJOR_KEYS.includes(parentMajor);
+  }
+}
+
+module.exports = MusicTheory;
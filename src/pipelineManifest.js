@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pipeline Manifest Module
+ * Records, per pipeline stage, a hash of the stage's inputs and the files it
+ * produced, in manifest.json inside the project directory. A resumed run
+ * skips every stage whose inputs are unchanged and whose outputs are still
+ * on disk with their recorded sizes.
+ */
+
+const MANIFEST_VERSION = 1;
+
+class PipelineManifest {
+  /**
+   * @param {string} projectDir - Project directory holding the manifest and the stage outputs
+   */
+  constructor(projectDir) {
+    this.projectDir = projectDir;
+    this.path = path.join(projectDir, 'manifest.json');
+    this.data = { version: MANIFEST_VERSION, config: null, stages: {} };
+  }
+
+  /**
+   * Hash a stage's inputs (key order does not matter)
+   * @param {*} inputs - JSON-serializable inputs
+   * @returns {string} Hex digest
+   */
+  static hash(inputs) {
+    return crypto.createHash('sha256').update(PipelineManifest._stableStringify(inputs)).digest('hex');
+  }
+
+  /**
+   * Load the manifest from disk
+   * A missing, unreadable or outdated manifest leaves this one empty.
+   * @returns {boolean} Whether a manifest was loaded
+   */
+  load() {
+    if (!fs.existsSync(this.path)) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      if (data.version !== MANIFEST_VERSION || !data.stages) {
+        return false;
+      }
+      this.data = data;
+      return true;
+    } catch (error) {
+      console.warn(`Ignoring unreadable manifest ${this.path}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Forget every recorded stage and store the configuration of a fresh run
+   */
+  reset(config) {
+    this.data = { version: MANIFEST_VERSION, config, stages: {} };
+    this.save();
+  }
+
+  /**
+   * Configuration of the run the manifest belongs to (null if none)
+   */
+  get config() {
+    return this.data.config;
+  }
+
+  /**
+   * Store the configuration of a resumed run, keeping the recorded stages
+   */
+  updateConfig(config) {
+    this.data.config = config;
+    this.save();
+  }
+
+  /**
+   * Write the manifest (atomically, so a crash never leaves half a file)
+   */
+  save() {
+    const tempPath = `${this.path}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2) + '\n');
+    fs.renameSync(tempPath, this.path);
+  }
+
+  /**
+   * Whether a stage finished with the same inputs and its outputs are intact
+   */
+  isComplete(stage, inputs) {
+    const entry = this.data.stages[stage];
+    if (!entry || entry.inputHash !== PipelineManifest.hash(inputs)) {
+      return false;
+    }
+
+    return entry.outputs.every(output => {
+      const file = path.resolve(this.projectDir, output.path);
+      return fs.existsSync(file) && fs.statSync(file).size === output.size;
+    });
+  }
+
+  /**
+   * Record a finished stage
+   * @param {string} stage - Stage name
+   * @param {*} inputs - Inputs the stage ran with
+   * @param {string[]} outputs - Files the stage produced
+   * @param {*} data - JSON-serializable result to hand back when the stage is skipped
+   */
+  complete(stage, inputs, outputs, data = null) {
+    this.data.stages[stage] = {
+      inputHash: PipelineManifest.hash(inputs),
+      outputs: outputs.map(file => ({
+        path: path.relative(this.projectDir, file),
+        size: fs.statSync(file).size
+      })),
+      data,
+      completedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  /**
+   * Result recorded for a stage
+   */
+  get(stage) {
+    const entry = this.data.stages[stage];
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Identifies one completed run of a stage; it changes whenever the stage
+   * runs again, so stages that list it as an input re-run too
+   */
+  fingerprint(stage) {
+    const entry = this.data.stages[stage];
+    return entry ? PipelineManifest.hash([entry.inputHash, entry.completedAt]) : null;
+  }
+
+  /**
+   * JSON with object keys sorted, so equal inputs always hash the same
+   */
+  static _stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => PipelineManifest._stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${PipelineManifest._stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+}
+
+module.exports = PipelineManifest;
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const CardTemplates = require('./cardTemplates');
+const EncoderProfiles = require('./encoderProfiles');
+const FormatPresets = require('./formatPresets');
+const Mastering = require('./mastering');
+const MusicTheory = require('./musicTheory');
+const { validateSchema } = require('./schema');
+
+/**
+ * Project Config Module
+ * Loads, validates and resolves a declarative project file describing a
+ * whole video (genre, timing, stems, mastering, lyrics, format and resolution,
+ * intro/outro, layers, frame output, render jobs, encoder settings and profiles)
+ */
+
+const LAYER_NAMES = ['visualizer', 'particles', 'geometry', 'lyrics'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const FONT_PATTERN = /\.(ttf|otf)$/i;
+
+const cardSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    enabled: { type: 'boolean' },
+    duration: { type: 'number', minimum: 0.5, maximum: 60 },
+    template: { type: 'string', enum: CardTemplates.list() },
+    title: { type: ['string', 'null'] },
+    artist: { type: ['string', 'null'] },
+    subtitle: { type: ['string', 'null'] },
+    cta: { type: ['string', 'null'] },
+    background: { type: 'string', enum: CardTemplates.BACKGROUNDS },
+    colors: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        text: { type: 'string', pattern: COLOR_PATTERN },
+        accent: { type: 'string', pattern: COLOR_PATTERN },
+        background: { type: 'string', pattern: COLOR_PATTERN }
+      }
+    },
+    font: { type: ['string', 'null'], pattern: FONT_PATTERN },
+    titleFont: { type: ['string', 'null'], pattern: FONT_PATTERN }
+  }
+};
+
+const CARD_FONTS = ['font', 'titleFont'];
+// Card lines where null means "leave the line out" rather than "use the default"
+const CARD_TEXT = ['title', 'artist', 'subtitle', 'cta'];
+
+const PROJECT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    genre: { type: 'string' },
+    output: { type: 'string', pattern: /^[^/\\]+$/ },
+    seed: { type: ['integer', 'string'] },
+    duration: { type: 'integer', minimum: 10, maximum: 3600 },
+    tempo: { type: 'number', minimum: 20, maximum: 300 },
+    key: { type: 'string' },
+    mode: { type: 'string' },
+    audio: { type: 'string' },
+    midi: { type: 'string' },
+    lyrics: { type: 'string', pattern: /\.(lrc|srt)$/i },
+    stems: { type: 'boolean' },
+    mastering: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        enabled: { type: 'boolean' },
+        lufs: { type: 'number', minimum: -40, maximum: -5 },
+        truePeak: { type: 'number', minimum: -9, maximum: 0 },
+        dither: { type: 'boolean' }
+      }
+    },
+    format: { type: 'string', enum: FormatPresets.list() },
+    resolution: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        width: { type: 'integer', minimum: 16, maximum: 7680 },
+        height: { type: 'integer', minimum: 16, maximum: 4320 },
+        fps: { type: 'number', minimum: 1, maximum: 120 }
+      }
+    },
+    intro: cardSchema,
+    outro: cardSchema,
+    layers: { type: 'array', items: { type: 'string', enum: LAYER_NAMES } },
+    frameOutput: { type: 'string', enum: ['stream', 'png'] },
+    jobs: { type: ['integer', 'null'], minimum: 1, maximum: 64 },
+    encoder: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        preset: { type: 'string', enum: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'] },
+        crf: { type: 'integer', minimum: 0, maximum: 51 },
+        audioBitrate: { type: 'string', pattern: /^\d+k$/ },
+        maxrate: { type: 'string', pattern: /^\d+(\.\d+)?[kM]$/ },
+        bufsize: { type: 'string', pattern: /^\d+(\.\d+)?[kM]$/ }
+      }
+    },
+    profiles: { type: 'array', items: { type: 'string', enum: EncoderProfiles.list() } }
+  }
+};
+
+// Resolution and bitrate caps come from the format preset
+const DEFAULTS = {
+  genre: 'electronic',
+  stems: false,
+  mastering: { ...Mastering.DEFAULTS },
+  format: FormatPresets.DEFAULT_FORMAT,
+  intro: { enabled: true, duration: 3, template: CardTemplates.DEFAULT_TEMPLATE, title: null, subtitle: 'Generated by AI' },
+  outro: { enabled: true, duration: 3, template: CardTemplates.DEFAULT_TEMPLATE, title: 'THANK YOU', subtitle: 'FOR WATCHING' },
+  layers: [...LAYER_NAMES],
+  frameOutput: 'stream',
+  jobs: null,
+  encoder: { preset: 'medium', crf: 23, audioBitrate: '192k' },
+  profiles: [...EncoderProfiles.DEFAULT_PROFILES]
+};
+
+/**
+ * Raised when a project file cannot be parsed or is invalid
+ */
+class ProjectConfigError extends Error {
+  constructor(file, errors) {
+    super(`Invalid project file ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ProjectConfigError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+class ProjectConfig {
+  /**
+   * Load and validate a project file
+   * Relative paths inside the file are resolved against the file's directory.
+   * @param {string} file - Path to the project JSON file
+   * @param {GenreRegistry} genreRegistry - Registry used to check the genre
+   * @returns {Object} Raw (unresolved) project settings
+   */
+  static load(file, genreRegistry) {
+    const projectPath = path.resolve(file);
+    let project;
+    try {
+      project = JSON.parse(fs.readFileSync(projectPath, 'utf8'));
+    } catch (error) {
+      throw new ProjectConfigError(file, [`could not be read: ${error.message}`]);
+    }
+
+    const errors = ProjectConfig.validate(project, genreRegistry);
+    if (errors.length > 0) {
+      throw new ProjectConfigError(file, errors);
+    }
+
+    const baseDir = path.dirname(projectPath);
+    ['audio', 'midi', 'lyrics'].forEach(field => {
+      if (project[field]) {
+        project[field] = path.resolve(baseDir, project[field]);
+      }
+    });
+    const missingFonts = [];
+    ['intro', 'outro'].forEach(card => {
+      CARD_FONTS.forEach(field => {
+        if (project[card] && project[card][field]) {
+          project[card][field] = path.resolve(baseDir, project[card][field]);
+          if (!fs.existsSync(project[card][field])) {
+            missingFonts.push(`${card}.${field}: font file not found: ${project[card][field]}`);
+          }
+        }
+      });
+    });
+    if (missingFonts.length > 0) {
+      throw new ProjectConfigError(file, missingFonts);
+    }
+
+    return project;
+  }
+
+  /**
+   * Validate project settings
+   * @returns {string[]} Human-readable problems (empty when valid)
+   */
+  static validate(project, genreRegistry) {
+    const errors = validateSchema(project, PROJECT_SCHEMA);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const theory = new MusicTheory();
+    if (project.genre && genreRegistry && !genreRegistry.has(project.genre)) {
+      errors.push(`genre "${project.genre}" is not available (available: ${genreRegistry.list().join(', ')})`);
+    }
+    if (project.key && !theory.isValidKey(project.key)) {
+      errors.push(`key "${project.key}" is not a note name such as C, F# or Bb`);
+    }
+    if (project.mode && !theory.isValidMode(project.mode)) {
+      errors.push(`mode "${project.mode}" must be one of: ${theory.listModes().join(', ')}`);
+    }
+    if (project.audio && project.midi) {
+      errors.push('audio and midi cannot both be set (use one music source)');
+    }
+    if (project.profiles) {
+      errors.push(...EncoderProfiles.validate(project.profiles).map(error => `profiles: ${error}`));
+    }
+    const { resolution = {} } = project;
+    ['width', 'height'].forEach(dimension => {
+      if (resolution[dimension] !== undefined && resolution[dimension] % 2 !== 0) {
+        errors.push(`resolution.${dimension} must be even (required by yuv420p encoding)`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Fill in defaults for every setting that was not given
+   * The format preset supplies resolution and encoder defaults; explicit
+   * resolution and encoder fields override it. Null fields are dropped
+   * before merging, except card text (CARD_TEXT), where null leaves the line out.
+   * @param {Object} project - Partial settings (from a file, the CLI or the API)
+   * @returns {Object} Complete configuration
+   */
+  static resolve(project = {}) {
+    const defined = (object, keepNull = []) => Object.fromEntries(
+      Object.entries(object || {}).filter(([key, value]) => value !== undefined && (value !== null || keepNull.includes(key)))
+    );
+    const format = FormatPresets.get(project.format || DEFAULTS.format);
+
+    return {
+      ...DEFAULTS,
+      ...defined(project),
+      format: format.name,
+      resolution: { ...format.resolution, ...defined(project.resolution) },
+      intro: { ...DEFAULTS.intro, ...defined(project.intro, CARD_TEXT) },
+      outro: { ...DEFAULTS.outro, ...defined(project.outro, CARD_TEXT) },
+      mastering: { ...DEFAULTS.mastering, ...defined(project.mastering) },
+      layers: project.layers || DEFAULTS.layers,
+      profiles: project.profiles || DEFAULTS.profiles,
+      encoder: { ...DEFAULTS.encoder, ...format.encoder, ...defined(project.encoder) }
+    };
+  }
+
+  /**
+   * Write the resolved configuration as pretty-printed JSON
+   */
+  static save(config, file) {
+    fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n');
+  }
+}
+
+ProjectConfig.ProjectConfigError = ProjectConfigError;
+ProjectConfig.LAYER_NAMES = LAYER_NAMES;
+ProjectConfig.CARD_FONTS = CARD_FONTS;
+
+module.exports = ProjectConfig;
@@ -0,0 +1,91 @@
+/**
+ * Seeded Random Module
+ * Deterministic pseudo-random number generator so that a seed reproduces
+ * the same music and visuals on every run
+ */
+
+class SeededRandom {
+  /**
+   * @param {number|string} seed - Integer seed or any string (hashed to an integer)
+   */
+  constructor(seed) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Convert a user-supplied seed into an unsigned 32-bit integer
+   * @param {number|string} seed - Seed value
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(Math.abs(seed)) >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for non-numeric seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a fresh seed for runs that did not specify one
+   * @returns {number} Unsigned 32-bit seed
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1) (mulberry32)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  float(min, max) {
+    return this.next() * (max - min) + min;
+  }
+
+  /**
+   * Integer in [min, max)
+   */
+  int(min, max) {
+    return Math.floor(this.float(min, max));
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Derive an independent generator for a named sub-task, so adding draws
+   * in one part of the pipeline does not shift the values seen by another
+   * @param {string} label - Name of the sub-task
+   * @returns {SeededRandom} Child generator
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+}
+
+module.exports = SeededRandom;
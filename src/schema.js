@@ -0,0 +1,82 @@
+/**
+ * Schema Validation Module
+ * Minimal JSON-Schema-style validator for preset and project files.
+ * Supports type, required, properties, additionalProperties, items, enum,
+ * minimum, maximum, minItems and pattern (a RegExp).
+ */
+
+const TYPE_CHECKS = {
+  object: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  array: v => Array.isArray(v),
+  string: v => typeof v === 'string',
+  number: v => typeof v === 'number' && Number.isFinite(v),
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  null: v => v === null
+};
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {string} where - Path of the value, used in messages (e.g. 'music.tempo')
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+function validateSchema(value, schema, where = '') {
+  const label = where || 'value';
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const matchedType = types.find(type => TYPE_CHECKS[type](value));
+
+  if (!matchedType) {
+    const names = types.map(type => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`);
+    return [`${label} must be ${names.join(' or ')}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} must be one of: ${schema.enum.join(', ')} (got "${value}")`);
+  }
+  if (schema.pattern && matchedType === 'string' && !schema.pattern.test(value)) {
+    errors.push(`${label} has an invalid format: "${value}"`);
+  }
+  const isNumber = matchedType === 'number' || matchedType === 'integer';
+  if (isNumber && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${label} must be at least ${schema.minimum}`);
+  }
+  if (isNumber && schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${label} must be at most ${schema.maximum}`);
+  }
+
+  if (matchedType === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${label} must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${where}[${i}]`));
+      });
+    }
+  }
+
+  if (matchedType === 'object') {
+    const properties = schema.properties || {};
+    const child = name => (where ? `${where}.${name}` : name);
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push(`${child(name)} is required`);
+      }
+    });
+    Object.keys(value).forEach(name => {
+      if (properties[name]) {
+        errors.push(...validateSchema(value[name], properties[name], child(name)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${child(name)} is not a known property`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
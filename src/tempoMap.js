@@ -0,0 +1,105 @@
+/**
+ * Tempo Map Module
+ * Converts between seconds and beats for music whose tempo changes. The map
+ * is a list of segments { time, beat, bpm }, sorted by time, each holding
+ * from its start until the next one; it serializes as that plain list, so it
+ * can be stored in metadata and handed to worker threads.
+ */
+
+class TempoMap {
+  /**
+   * @param {Object[]} segments - { time (s), beat, bpm } sorted by time, at least one
+   */
+  constructor(segments) {
+    if (!Array.isArray(segments) || segments.length === 0) {
+      throw new Error('A tempo map needs at least one segment');
+    }
+    this.segments = segments;
+  }
+
+  /**
+   * Map with one tempo throughout; beat 0 falls at beatPhase seconds
+   */
+  static constant(bpm, beatPhase = 0) {
+    return new TempoMap([{ time: 0, beat: -beatPhase * (bpm / 60), bpm }]);
+  }
+
+  /**
+   * Build a map from tempo changes at beat positions (MIDI tempo events)
+   * The tempo before the first change is defaultBpm.
+   * @param {Object[]} changes - { beat, bpm }
+   * @param {number} defaultBpm - Tempo until the first change (MIDI default: 120)
+   */
+  static fromBeats(changes, defaultBpm = 120) {
+    const map = new TempoMap([{ time: 0, beat: 0, bpm: defaultBpm }]);
+    [...changes].sort((a, b) => a.beat - b.beat).forEach(change => {
+      const last = map.segments[map.segments.length - 1];
+      if (change.beat === last.beat) {
+        last.bpm = change.bpm;
+      } else {
+        map.segments.push({ time: map.timeAtBeat(change.beat), beat: change.beat, bpm: change.bpm });
+      }
+    });
+    return map;
+  }
+
+  /**
+   * Wrap stored segments (or pass a map through)
+   */
+  static from(data) {
+    return data instanceof TempoMap ? data : new TempoMap(data);
+  }
+
+  /**
+   * Beat position (fractional) at a time in seconds
+   */
+  beatAt(seconds) {
+    const segment = this._segmentAt(seconds, 'time');
+    return segment.beat + (seconds - segment.time) * (segment.bpm / 60);
+  }
+
+  /**
+   * Time in seconds of a beat position
+   */
+  timeAtBeat(beat) {
+    const segment = this._segmentAt(beat, 'beat');
+    return segment.time + (beat - segment.beat) * (60 / segment.bpm);
+  }
+
+  /**
+   * Tempo in BPM at a time in seconds
+   */
+  tempoAt(seconds) {
+    return this._segmentAt(seconds, 'time').bpm;
+  }
+
+  /**
+   * Whether the tempo ever changes
+   */
+  isConstant() {
+    return this.segments.every(segment => segment.bpm === this.segments[0].bpm);
+  }
+
+  toJSON() {
+    return this.segments;
+  }
+
+  /**
+   * Last segment starting at or before a position (the first one before the map starts)
+   */
+  _segmentAt(position, field) {
+    let low = 0;
+    let high = this.segments.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.segments[mid][field] <= position) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return this.segments[low];
+  }
+}
+
+module.exports = TempoMap;
@@ -1,17 +1,156 @@
 const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs');
 const path = require('path');
+const EncoderProfiles = require('./encoderProfiles');
+const { FfmpegFrameSink } = require('./frameSink');
 
 /**
  * Video Renderer Module
- * Combines audio and visual frames into a final video
+ * Combines audio and visual frames into a final video, once per selected
+ * video encoder profile, plus any teaser previews
+ *
+ * Every method that writes video takes the path of the first profile's file;
+ * the other profiles' files sit next to it with their own extension. Such
+ * methods return a map of profile name to file path.
  */
 
 class VideoRenderer {
-  constructor() {
-    this.codec = 'libx264';
-    this.audioCodec = 'aac';
-    this.outputFormat = 'mp4';
+  /**
+   * @param {Object} options - Encoder options
+   * @param {string} options.preset - x264 preset (default medium)
+   * @param {number} options.crf - Constant rate factor, lower is better quality (default 23)
+   * @param {string} options.audioBitrate - Audio bitrate (default 192k)
+   * @param {string} options.maxrate - Video bitrate cap, e.g. '8M' (uncapped if omitted)
+   * @param {string} options.bufsize - Rate control buffer for maxrate (default twice maxrate)
+   * @param {string[]} options.profiles - Encoder profiles to write (default ['h264-mp4']; see EncoderProfiles)
+   */
+  constructor(options = {}) {
+    this.encoder = {
+      preset: options.preset || 'medium',
+      crf: options.crf !== undefined ? options.crf : 23,
+      audioBitrate: options.audioBitrate || '192k',
+      maxrate: options.maxrate || null,
+      bufsize: options.bufsize || null
+    };
+
+    const profiles = options.profiles || EncoderProfiles.DEFAULT_PROFILES;
+    const errors = EncoderProfiles.validate(profiles);
+    if (errors.length > 0) {
+      throw new Error(`Invalid encoder profiles: ${errors.join('; ')}`);
+    }
+    this.videoProfiles = profiles.map(name => EncoderProfiles.get(name)).filter(profile => profile.kind === 'video');
+    this.teaserProfiles = profiles.map(name => EncoderProfiles.get(name)).filter(profile => profile.kind === 'teaser');
+  }
+
+  /**
+   * Names of the video profiles this renderer writes, first one first
+   */
+  get videoProfileNames() {
+    return this.videoProfiles.map(profile => profile.name);
+  }
+
+  /**
+   * Names of the teaser profiles this renderer writes
+   */
+  get teaserProfileNames() {
+    return this.teaserProfiles.map(profile => profile.name);
+  }
+
+  /**
+   * Output file of every video profile for a base path
+   * @param {string} basePath - Output path; its extension is replaced per profile
+   * @returns {Object} Map of profile name to file path
+   */
+  outputPaths(basePath, profiles = this.videoProfiles) {
+    const parsed = path.parse(basePath);
+    return Object.fromEntries(profiles.map(profile => [
+      profile.name,
+      path.join(parsed.dir, `${parsed.name}.${profile.extension}`)
+    ]));
+  }
+
+  /**
+   * Video output options of a profile; every segment of a profile uses the
+   * same ones, so segments can be joined without re-encoding
+   * @param {number} fps - Frame rate of the segment
+   * @param {string} profileName - Video profile (default: the first one)
+   * @returns {string[]} ffmpeg output options
+   */
+  videoOutputOptions(fps, profileName = this.videoProfiles[0].name) {
+    return EncoderProfiles.get(profileName).videoOptions(this.encoder, fps);
+  }
+
+  /**
+   * Subtitle file written next to a video
+   */
+  subtitlesPath(outputPath) {
+    const parsed = path.parse(outputPath);
+    return path.join(parsed.dir, `${parsed.name}.srt`);
+  }
+
+  /**
+   * Write lyrics as an SRT next to a video, shifted past the intro so the
+   * times match the joined video (the subtitle track and the upload file)
+   * @param {Lyrics} lyrics - Lyrics on the music's clock (nothing is written without them)
+   * @param {string} outputPath - Video of the first profile
+   * @param {Object} introMetadata - Intro metadata, or null without an intro
+   * @returns {string|null} Subtitle file, or null without lyrics
+   */
+  writeSubtitles(lyrics, outputPath, introMetadata) {
+    if (!lyrics) {
+      return null;
+    }
+    const file = this.subtitlesPath(outputPath);
+    fs.writeFileSync(file, lyrics.toSrt(this.introOffset(introMetadata)));
+    return file;
+  }
+
+  /**
+   * Where the music starts in the joined video: the intro's length (its
+   * whole frames), or 0 without an intro
+   */
+  introOffset(introMetadata) {
+    return introMetadata ? introMetadata.frameCount / introMetadata.fps : 0;
+  }
+
+  /**
+   * Open a streaming segment encoder that frames can be written to directly
+   * (no intermediate PNG files); it writes one file per video profile
+   * @param {string} outputPath - Segment file of the first profile
+   * @param {Object} options - { width, height, fps, audioPath, videoOnly, firstFrame } (silent audio if audioPath is omitted)
+   * @returns {FfmpegFrameSink} Frame sink
+   */
+  createFrameSink(outputPath, options) {
+    const paths = this.outputPaths(outputPath);
+    const outputs = this.videoProfiles.map(profile => ({
+      profile: profile.name,
+      path: paths[profile.name],
+      options: [
+        ...profile.videoOptions(this.encoder, options.fps),
+        ...(options.videoOnly ? ['-an'] : [...profile.audioOptions(this.encoder), '-shortest'])
+      ]
+    }));
+    return new FfmpegFrameSink(outputs, options);
+  }
+
+  /**
+   * Add one output per video profile to an ffmpeg command
+   * (fluent-ffmpeg applies outputOptions to the most recently added output)
+   * @param {string[]} extraOptions - Options after each profile's codec options
+   * @returns {Object} Map of profile name to file path
+   */
+  _addOutputs(command, outputPath, fps, extraOptions = []) {
+    const paths = this.outputPaths(outputPath);
+    this.videoProfiles.forEach(profile => {
+      command
+        .output(paths[profile.name])
+        .outputOptions([
+          ...profile.videoOptions(this.encoder, fps),
+          ...profile.audioOptions(this.encoder),
+          ...extraOptions
+        ]);
+    });
+    return paths;
   }
 
   /**
@@ -27,21 +166,14 @@ class VideoRenderer {
       // Create silent audio for intro
       const introDuration = introMetadata.frameCount / fps;
       
-      ffmpeg()
+      const command = ffmpeg()
         .input(inputPattern)
         .inputFPS(fps)
         .input('anullsrc=channel_layout=stereo:sample_rate=44100')
-        .inputFormat('lavfi')
-        .outputOptions([
-          '-c:v libx264',
-          '-preset medium',
-          '-crf 23',
-          '-pix_fmt yuv420p',
-          '-c:a aac',
-          '-b:a 192k',
-          `-t ${introDuration}`
-        ])
-        .output(outputPath)
+        .inputFormat('lavfi');
+      const paths = this._addOutputs(command, outputPath, fps, [`-t ${introDuration}`]);
+      
+      command
         .on('start', (cmd) => {
           console.log('  FFmpeg command:', cmd);
         })
@@ -52,7 +184,7 @@ class VideoRenderer {
         })
         .on('end', () => {
           console.log('Intro rendering complete!');
-          resolve();
+          resolve(paths);
         })
         .on('error', (err) => {
           console.error('Error rendering intro:', err);
@@ -72,20 +204,13 @@ class VideoRenderer {
       const { framesDir, fps } = visualMetadata;
       const inputPattern = path.join(framesDir, 'frame_%06d.png');
       
-      ffmpeg()
+      const command = ffmpeg()
         .input(inputPattern)
         .inputFPS(fps)
-        .input(audioPath)
-        .outputOptions([
-          '-c:v libx264',
-          '-preset medium',
-          '-crf 23',
-          '-pix_fmt yuv420p',
-          '-c:a aac',
-          '-b:a 192k',
-          '-shortest'
-        ])
-        .output(outputPath)
+        .input(audioPath);
+      const paths = this._addOutputs(command, outputPath, fps, ['-shortest']);
+      
+      command
         .on('start', (cmd) => {
           console.log('  FFmpeg command:', cmd);
         })
@@ -96,7 +221,7 @@ class VideoRenderer {
         })
         .on('end', () => {
           console.log('Main content rendering complete!');
-          resolve();
+          resolve(paths);
         })
         .on('error', (err) => {
           console.error('Error rendering main content:', err);
@@ -106,6 +231,29 @@ class VideoRenderer {
     });
   }
 
+  /**
+   * Render main content from video-only parts (streamed frame ranges),
+   * joining them without re-encoding and adding the music
+   * @param {Object[]} parts - Segment paths of each part (profile name to path), in playback order
+   * @param {string} audioPath - Music track
+   * @param {string} outputPath - Main segment of the first profile
+   * @returns {Promise<Object>} Map of profile name to file path
+   */
+  async renderMainFromParts(parts, audioPath, outputPath) {
+    console.log(`Joining ${parts.length} main content part(s) with the music...`);
+    
+    const paths = this.outputPaths(outputPath);
+    for (const profile of this.videoProfiles) {
+      await this._concat(parts.map(part => part[profile.name]), paths[profile.name], {
+        audioPath,
+        options: ['-map 0:v', '-map 1:a', '-c:v copy', ...profile.audioOptions(this.encoder), '-shortest']
+      });
+    }
+    
+    console.log('Main content rendering complete!');
+    return paths;
+  }
+
   /**
    * Render outro section
    */
@@ -119,21 +267,14 @@ class VideoRenderer {
       // Create silent audio for outro
       const outroDuration = outroMetadata.frameCount / fps;
       
-      ffmpeg()
+      const command = ffmpeg()
         .input(inputPattern)
         .inputFPS(fps)
         .input('anullsrc=channel_layout=stereo:sample_rate=44100')
-        .inputFormat('lavfi')
-        .outputOptions([
-          '-c:v libx264',
-          '-preset medium',
-          '-crf 23',
-          '-pix_fmt yuv420p',
-          '-c:a aac',
-          '-b:a 192k',
-          `-t ${outroDuration}`
-        ])
-        .output(outputPath)
+        .inputFormat('lavfi');
+      const paths = this._addOutputs(command, outputPath, fps, [`-t ${outroDuration}`]);
+      
+      command
         .on('start', (cmd) => {
           console.log('  FFmpeg command:', cmd);
         })
@@ -144,7 +285,7 @@ class VideoRenderer {
         })
         .on('end', () => {
           console.log('Outro rendering complete!');
-          resolve();
+          resolve(paths);
         })
         .on('error', (err) => {
           console.error('Error rendering outro:', err);
@@ -155,23 +296,102 @@ class VideoRenderer {
   }
 
   /**
-   * Concatenate video segments
+   * Concatenate video segments, once per video profile, without re-encoding
+   * @param {Object[]} segments - Segment paths (profile name to path), in playback order
+   * @param {string} outputPath - Video of the first profile
+   * @param {string} subtitlesPath - SRT file to add as a soft subtitle track (optional; times on the joined video's clock)
+   * @param {string} metadataPath - FFMETADATA file with the title and chapters to embed (optional)
+   * @returns {Promise<Object>} Map of profile name to file path
    */
-  async concatenateVideos(videoPaths, outputPath) {
+  async concatenateVideos(segments, outputPath, subtitlesPath = null, metadataPath = null) {
+    const extras = [subtitlesPath && 'lyrics subtitles', metadataPath && 'chapters'].filter(Boolean);
+    console.log(`Concatenating video segments${extras.length > 0 ? ` with ${extras.join(' and ')}` : ''}...`);
+    
+    const paths = this.outputPaths(outputPath);
+    for (const profile of this.videoProfiles) {
+      const subtitleOptions = subtitlesPath
+        ? ['-map 0', '-map 1', `-c:s ${profile.subtitleCodec}`, '-metadata:s:s:0 title=Lyrics']
+        : [];
+      // The metadata file is the input after the subtitles
+      const metadataInput = subtitlesPath ? 2 : 1;
+      const metadataOptions = metadataPath
+        ? [`-map_metadata ${metadataInput}`, `-map_chapters ${metadataInput}`]
+        : [];
+      await this._concat(segments.map(segment => segment[profile.name]), paths[profile.name], {
+        subtitlesPath,
+        metadataPath,
+        options: [...profile.concatOptions, ...subtitleOptions, ...metadataOptions]
+      });
+    }
+    
+    console.log('Concatenation complete!');
+    return paths;
+  }
+
+  /**
+   * Cut short looping previews (one per teaser profile) from a finished video
+   * @param {string} sourcePath - Finished video to cut from
+   * @param {string} outputPath - Teaser path; its extension is replaced per profile
+   * @param {Object} options - { start, duration, fps, width } (seconds, frames per second, pixels)
+   * @returns {Promise<Object>} Map of profile name to file path (empty without teaser profiles)
+   */
+  async renderTeasers(sourcePath, outputPath, options = {}) {
+    const teaser = { start: 0, duration: 5, fps: 15, width: 480, ...options };
+    const paths = this.outputPaths(outputPath, this.teaserProfiles);
+    
+    for (const profile of this.teaserProfiles) {
+      await new Promise((resolve, reject) => {
+        console.log(`Rendering ${profile.name} teaser...`);
+        
+        const { complexFilter, outputOptions } = profile.teaserOptions(teaser);
+        ffmpeg()
+          .input(sourcePath)
+          .inputOptions([`-ss ${teaser.start}`, `-t ${teaser.duration}`])
+          .complexFilter(complexFilter)
+          .outputOptions([...outputOptions, '-an', '-sn'])
+          .output(paths[profile.name])
+          .on('start', (cmd) => {
+            console.log('  FFmpeg command:', cmd);
+          })
+          .on('end', () => resolve())
+          .on('error', (err) => {
+            console.error(`Error rendering ${profile.name} teaser:`, err);
+            reject(err);
+          })
+          .run();
+      });
+    }
+    
+    return paths;
+  }
+
+  /**
+   * Join files with the concat demuxer, optionally adding an audio or
+   * subtitle track and a metadata file (inputs in that order)
+   * @param {string[]} inputPaths - Files to join, in order
+   * @param {Object} options - { audioPath, subtitlesPath, metadataPath, options } (ffmpeg output options)
+   */
+  async _concat(inputPaths, outputPath, { audioPath = null, subtitlesPath = null, metadataPath = null, options = [] }) {
     return new Promise((resolve, reject) => {
-      console.log('Concatenating video segments...');
-      
       // Create concat file list
-      const concatListPath = path.join(path.dirname(outputPath), 'concat_list.txt');
-      const fileList = videoPaths.map(p => `file '${path.resolve(p)}'`).join('\n');
-      fs.writeFileSync(concatListPath, fileList);
+      const concatListPath = `${outputPath}.concat.txt`;
+      this._writeConcatList(inputPaths, concatListPath);
       
-      ffmpeg()
+      const command = ffmpeg()
         .input(concatListPath)
-        .inputOptions(['-f', 'concat', '-safe', '0'])
-        .outputOptions([
-          '-c', 'copy'
-        ])
+        .inputOptions(['-f', 'concat', '-safe', '0']);
+      if (audioPath) {
+        command.input(audioPath);
+      }
+      if (subtitlesPath) {
+        command.input(subtitlesPath);
+      }
+      if (metadataPath) {
+        command.input(metadataPath);
+      }
+      
+      command
+        .outputOptions(options)
         .output(outputPath)
         .on('start', (cmd) => {
           console.log('  FFmpeg command:', cmd);
@@ -182,7 +402,6 @@ class VideoRenderer {
           }
         })
         .on('end', () => {
-          console.log('Concatenation complete!');
           // Clean up concat list
           if (fs.existsSync(concatListPath)) {
             fs.unlinkSync(concatListPath);
@@ -190,7 +409,7 @@ class VideoRenderer {
           resolve();
         })
         .on('error', (err) => {
-          console.error('Error concatenating videos:', err);
+          console.error(`Error writing ${path.basename(outputPath)}:`, err);
           // Clean up concat list
           if (fs.existsSync(concatListPath)) {
             fs.unlinkSync(concatListPath);
@@ -201,10 +420,26 @@ class VideoRenderer {
     });
   }
 
+  /**
+   * Write an ffmpeg concat demuxer list
+   */
+  _writeConcatList(videoPaths, listPath) {
+    const fileList = videoPaths.map(p => `file '${path.resolve(p)}'`).join('\n');
+    fs.writeFileSync(listPath, fileList);
+  }
+
   /**
    * Render complete video with intro, main content, and outro
+   * Pass null for introMetadata or outroMetadata to leave that card out.
+   * Sections that were streamed to segment files (metadata.segmentPaths)
+   * are used as-is; the others are encoded from their PNG frames.
+   * With lyrics, an SRT file shifted past the intro is written next to the
+   * video and muxed in as a subtitle track.
+   * @param {Lyrics} lyrics - Timed lyrics on the music's clock (optional)
+   * @returns {Promise<Object>} { path, size } of the first profile's video, paths of every profile
+   *   and the subtitle file (null without lyrics)
    */
-  async renderComplete(introMetadata, visualMetadata, outroMetadata, audioPath, outputPath) {
+  async renderComplete(introMetadata, visualMetadata, outroMetadata, audioPath, outputPath, lyrics = null) {
     const tempDir = path.join(path.dirname(outputPath), 'temp_segments');
     
     // Create temp directory for segments
@@ -212,40 +447,43 @@ class VideoRenderer {
       fs.mkdirSync(tempDir, { recursive: true });
     }
     
-    const introPath = path.join(tempDir, 'intro.mp4');
-    const mainPath = path.join(tempDir, 'main.mp4');
-    const outroPath = path.join(tempDir, 'outro.mp4');
-    
     try {
       // Render each segment
-      await this.renderIntro(introMetadata, audioPath, introPath);
-      await this.renderMain(visualMetadata, audioPath, mainPath);
-      await this.renderOutro(outroMetadata, outroPath);
+      const segments = [];
+      if (introMetadata && introMetadata.segmentPaths) {
+        segments.push(introMetadata.segmentPaths);
+      } else if (introMetadata) {
+        segments.push(await this.renderIntro(introMetadata, audioPath, path.join(tempDir, 'intro.mp4')));
+      }
+      if (visualMetadata.segmentPaths) {
+        segments.push(visualMetadata.segmentPaths);
+      } else {
+        segments.push(await this.renderMain(visualMetadata, audioPath, path.join(tempDir, 'main.mp4')));
+      }
+      if (outroMetadata && outroMetadata.segmentPaths) {
+        segments.push(outroMetadata.segmentPaths);
+      } else if (outroMetadata) {
+        segments.push(await this.renderOutro(outroMetadata, path.join(tempDir, 'outro.mp4')));
+      }
       
-      // Concatenate all segments
-      await this.concatenateVideos([introPath, mainPath, outroPath], outputPath);
+      // Lyrics start after the intro in the joined video
+      const subtitlesPath = this.writeSubtitles(lyrics, outputPath, introMetadata);
       
-      // Clean up temp files
-      console.log('Cleaning up temporary files...');
-      if (fs.existsSync(introPath)) fs.unlinkSync(introPath);
-      if (fs.existsSync(mainPath)) fs.unlinkSync(mainPath);
-      if (fs.existsSync(outroPath)) fs.unlinkSync(outroPath);
-      if (fs.existsSync(tempDir)) fs.rmSync(tempDir, { recursive: true, force: true });
+      // Concatenate all segments
+      const paths = await this.concatenateVideos(segments, outputPath, subtitlesPath);
+      const primaryPath = paths[this.videoProfiles[0].name];
       
-      console.log(`\n✓ Video generated successfully: ${outputPath}`);
+      console.log(`\n✓ Video generated successfully: ${Object.values(paths).join(', ')}`);
       
       return {
-        path: outputPath,
-        size: fs.statSync(outputPath).size
+        path: primaryPath,
+        size: fs.statSync(primaryPath).size,
+        paths,
+        subtitles: subtitlesPath
       };
-    } catch (error) {
-      // Clean up on error
-      if (fs.existsSync(introPath)) fs.unlinkSync(introPath);
-      if (fs.existsSync(mainPath)) fs.unlinkSync(mainPath);
-      if (fs.existsSync(outroPath)) fs.unlinkSync(outroPath);
+    } finally {
+      // Clean up temp files
       if (fs.existsSync(tempDir)) fs.rmSync(tempDir, { recursive: true, force: true });
-      
-      throw error;
     }
   }
 }
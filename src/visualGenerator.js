@@ -1,53 +1,152 @@
-const { createCanvas } = require('canvas');
+const { createCanvas, registerFont } = require('canvas');
 const fs = require('fs');
 const path = require('path');
+const { Worker } = require('worker_threads');
+const CardTemplates = require('./cardTemplates');
+const Groove = require('./groove');
+const Lyrics = require('./lyrics');
+const SeededRandom = require('./random');
+const TempoMap = require('./tempoMap');
+const GenreRegistry = require('./genreRegistry');
+const { PngFrameSink } = require('./frameSink');
 
 /**
  * Visual Generator Module
  * Generates animated visuals synchronized to music tempo
  */
 
+// Frames handed to a worker at a time (fewer for large frames, see WORKER_CHUNK_BYTES)
+const WORKER_CHUNK_FRAMES = 8;
+const WORKER_CHUNK_BYTES = 96 * 1024 * 1024;
+// Frames rendered ahead of the sink (in workers or waiting to be written), in bytes
+const WORKER_BUFFER_BYTES = 512 * 1024 * 1024;
+
+// Title cards
+const DEFAULT_CARD_TEXT = {
+  intro: genre => ({ title: `${genre.toUpperCase()} MUSIC VIDEO`, subtitle: 'Generated by AI' }),
+  outro: () => ({ title: 'THANK YOU', subtitle: 'FOR WATCHING' })
+};
+const CARD_TITLE_SIZES = { intro: 120, outro: 80 }; // pixels at a 1080-pixel short side
+const CARD_DIMMING = 0.55; // darkening over animated and gradient backgrounds, keeps text readable
+const LINE_HEIGHT = 1.25; // times the font size
+const MIN_FONT_SIZE = 12;
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+// Lyrics layer
+const LYRIC_FADE_SECONDS = 0.25; // lines fade and rise in, and fade out, over this long
+const LYRIC_RISE = 30; // pixels at a 1080-pixel short side
+
 class VisualGenerator {
-  constructor() {
-    this.width = 1920;
-    this.height = 1080;
-    this.fps = 30;
+  /**
+   * @param {GenreRegistry} genreRegistry - Shared genre presets (loaded from disk if omitted)
+   * @param {Object} options - Canvas options
+   * @param {number} options.width - Frame width in pixels (default 1920)
+   * @param {number} options.height - Frame height in pixels (default 1080)
+   * @param {number} options.fps - Frames per second (default 30)
+   * @param {string[]} options.layers - Layers to draw: visualizer, particles, geometry, lyrics (default all)
+   * @param {number} options.jobs - Worker threads for the main visuals (default 1, rendered in-process)
+   * @param {string[]} options.fonts - TTF/OTF files used by the title cards (registered before any drawing)
+   */
+  constructor(genreRegistry = null, options = {}) {
+    this.genreRegistry = genreRegistry || new GenreRegistry();
+    this.width = options.width || 1920;
+    this.height = options.height || 1080;
+    this.fps = options.fps || 30;
+    // Drawing sizes are designed for a 1080-pixel short side and scaled to the canvas
+    this.scale = Math.min(this.width, this.height) / 1080;
+    this.layers = options.layers || ['visualizer', 'particles', 'geometry', 'lyrics'];
+    this.jobs = Math.max(1, options.jobs || 1);
+    (options.fonts || []).forEach(file => VisualGenerator.registerFont(file));
+  }
+
+  /**
+   * Make a TTF or OTF file available to the title cards
+   * The font is registered under its file name (see fontFamily); node-canvas
+   * only picks up fonts registered before a canvas is created.
+   * @param {string} file - Path to the font file
+   */
+  static registerFont(file) {
+    if (!FONT_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+      throw new Error(`Unsupported font file ${file} (use ${FONT_EXTENSIONS.join(' or ')})`);
+    }
+    if (!fs.existsSync(file)) {
+      throw new Error(`Font file not found: ${file}`);
+    }
+    registerFont(file, { family: VisualGenerator.fontFamily(file) });
+  }
+
+  /**
+   * Family name a font file is registered under
+   */
+  static fontFamily(file) {
+    return path.basename(file, path.extname(file));
   }
 
   /**
    * Generate visual frames for the music video
    * @param {Object} musicMetadata - Metadata from music generation
-   * @param {string} outputDir - Directory to save frames
+   * @param {string|Object} output - Directory to save PNG frames, or a frame sink (see frameSink.js)
+   * @param {Object} audioAnalysis - Per-frame analysis from AudioAnalyzer (optional, beat-simulated if omitted)
+   * @param {Object} range - Only render frames [start, end) of the video (default: all frames)
+   * @param {Lyrics} lyrics - Timed lyrics for the lyrics layer (optional)
    * @returns {Promise<Object>} Visual metadata
    */
-  async generateVisuals(musicMetadata, outputDir) {
-    const { tempo, duration, genre } = musicMetadata;
-    const totalFrames = Math.floor(duration * this.fps);
-    const beatsPerSecond = tempo / 60;
-    
-    console.log(`Generating ${totalFrames} frames for ${genre} visuals...`);
-    
-    // Ensure output directory exists
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
+  async generateVisuals(musicMetadata, output, audioAnalysis = null, range = {}, lyrics = null) {
+    const { tempo, duration, genre, seed = 0, beatPhase = 0, groove = null } = musicMetadata;
+    // Imported MIDI brings its own tempo map; everything else has one steady tempo
+    const tempoMap = musicMetadata.tempoMap
+      ? TempoMap.from(musicMetadata.tempoMap)
+      : TempoMap.constant(tempo, beatPhase);
+    const totalFrames = Math.ceil(duration * this.fps);
+    const startFrame = range.start || 0;
+    const endFrame = Math.min(range.end !== undefined ? range.end : totalFrames, totalFrames);
+    const frameCount = endFrame - startFrame;
+    const jobs = Math.min(this.jobs, Math.ceil(frameCount / WORKER_CHUNK_FRAMES));
+    
+    const rangeText = frameCount < totalFrames ? ` (${startFrame}-${endFrame - 1} of ${totalFrames})` : '';
+    console.log(`Generating ${frameCount} frames${rangeText} for ${genre} visuals${jobs > 1 ? ` on ${jobs} workers` : ''}...`);
+    
+    const sink = this._openSink(output, 'frame');
+    const random = new SeededRandom(seed).fork('visuals');
+    const baseStyle = this._getVisualStyle(genre);
+    
+    // Per-particle phase offsets so each seed gets its own (reproducible) motion
+    const visualStyle = {
+      ...baseStyle,
+      particleOffsets: Array.from({ length: baseStyle.particleCount }, () => random.float(0, Math.PI * 2))
+    };
     
-    const visualStyle = this._getVisualStyle(genre);
+    const spin = audioAnalysis ? this._accumulateSpin(audioAnalysis, tempoMap) : null;
+    const scene = {
+      style: visualStyle,
+      tempoMap: tempoMap.toJSON(),
+      duration,
+      audioAnalysis,
+      spin,
+      groove,
+      lyrics: lyrics ? lyrics.toJSON() : null
+    };
     
     // Generate frames with progress reporting
-    const progressInterval = Math.floor(totalFrames / 20) || 1;
-    
-    for (let frameNum = 0; frameNum < totalFrames; frameNum++) {
-      const time = frameNum / this.fps;
-      const beat = time * beatsPerSecond;
-      
-      await this._generateFrame(frameNum, beat, time, duration, visualStyle, outputDir);
-      
-      if (frameNum % progressInterval === 0) {
-        const progress = ((frameNum / totalFrames) * 100).toFixed(1);
+    const progressInterval = Math.floor(frameCount / 20) || 1;
+    const reportProgress = (frameNum) => {
+      if ((frameNum - startFrame) % progressInterval === 0) {
+        const progress = (((frameNum - startFrame) / frameCount) * 100).toFixed(1);
         console.log(`  Frame generation progress: ${progress}%`);
       }
-    }
+    };
+    
+    await this._writeFrames(sink, async () => {
+      if (jobs > 1) {
+        await this._renderInWorkers(sink, startFrame, endFrame, scene, jobs, reportProgress);
+        return;
+      }
+      const preparedScene = this.prepareScene(scene);
+      for (let frameNum = startFrame; frameNum < endFrame; frameNum++) {
+        await sink.writeFrame(frameNum, this.encodeFrame(this.renderFrame(frameNum, preparedScene), sink.format));
+        reportProgress(frameNum);
+      }
+    });
     
     console.log('  Frame generation progress: 100.0%');
     
@@ -56,111 +155,259 @@ class VisualGenerator {
       fps: this.fps,
       width: this.width,
       height: this.height,
-      framesDir: outputDir
+      seed,
+      startFrame,
+      endFrame,
+      ...sink.describe()
     };
   }
 
   /**
-   * Generate intro frames
+   * Generate intro frames (the card fades in from black)
+   * @param {Object} card - Card settings (see ProjectConfig): template, title
+   *   (defaults to "<GENRE> MUSIC VIDEO"), artist, subtitle (null for none), cta, background, colors, font, titleFont
+   * @param {number} seed - Run seed (the same one the main visuals use)
    */
-  async generateIntro(genre, outputDir, durationSeconds = 3) {
+  async generateIntro(genre, output, durationSeconds = 3, card = {}, seed = 0) {
     console.log(`Generating intro (${durationSeconds}s)...`);
-    
+    return this._generateCard('intro', genre, output, durationSeconds, card, seed);
+  }
+
+  /**
+   * Generate outro frames (the card fades out to black)
+   * @param {Object} card - Card settings as for generateIntro; the title and
+   *   subtitle default to "THANK YOU" and "FOR WATCHING"
+   * @param {number} seed - Run seed (the same one the main visuals use)
+   */
+  async generateOutro(genre, output, durationSeconds = 3, card = {}, seed = 0) {
+    console.log(`Generating outro (${durationSeconds}s)...`);
+    return this._generateCard('outro', genre, output, durationSeconds, card, seed);
+  }
+
+  /**
+   * Render every frame of an intro or outro card
+   */
+  async _generateCard(kind, genre, output, durationSeconds, card, seed) {
     const totalFrames = Math.floor(durationSeconds * this.fps);
+    const sink = this._openSink(output, kind);
+    const scene = this._cardScene(kind, genre, card, seed);
     
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-    
-    for (let frameNum = 0; frameNum < totalFrames; frameNum++) {
-      const progress = frameNum / totalFrames;
-      await this._generateIntroFrame(frameNum, progress, genre, outputDir);
-    }
+    await this._writeFrames(sink, async () => {
+      for (let frameNum = 0; frameNum < totalFrames; frameNum++) {
+        const canvas = this._generateCardFrame(frameNum / totalFrames, frameNum / this.fps, durationSeconds, scene);
+        await sink.writeFrame(frameNum, this.encodeFrame(canvas, sink.format));
+      }
+    });
     
     return {
       frameCount: totalFrames,
       fps: this.fps,
       width: this.width,
       height: this.height,
-      framesDir: outputDir
+      ...sink.describe()
     };
   }
 
   /**
-   * Generate outro frames
+   * Use the given frame sink, or write PNG files when given a directory
    */
-  async generateOutro(genre, outputDir, durationSeconds = 3) {
-    console.log(`Generating outro (${durationSeconds}s)...`);
-    
-    const totalFrames = Math.floor(durationSeconds * this.fps);
-    
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-    
-    for (let frameNum = 0; frameNum < totalFrames; frameNum++) {
-      const progress = frameNum / totalFrames;
-      await this._generateOutroFrame(frameNum, progress, genre, outputDir);
+  _openSink(output, prefix) {
+    return typeof output === 'string' ? new PngFrameSink(output, prefix) : output;
+  }
+
+  /**
+   * Run a frame-writing function against a sink, then close it
+   * The sink is aborted (discarding partial output) if a frame fails
+   */
+  async _writeFrames(sink, writeAll) {
+    try {
+      await writeAll();
+      await sink.close();
+    } catch (error) {
+      await sink.abort();
+      throw error;
     }
-    
+  }
+
+  /**
+   * Rebuild the tempo map, groove and lyrics of a scene from their plain
+   * data (as sent to worker threads), once rather than for every frame
+   * @returns {Object} Scene for renderFrame
+   */
+  prepareScene(scene) {
     return {
-      frameCount: totalFrames,
-      fps: this.fps,
-      width: this.width,
-      height: this.height,
-      framesDir: outputDir
+      ...scene,
+      tempoMap: TempoMap.from(scene.tempoMap),
+      groove: scene.groove ? Groove.from(scene.groove) : null,
+      lyrics: scene.lyrics ? Lyrics.from(scene.lyrics) : null
     };
   }
 
   /**
-   * Get visual style based on genre
+   * Draw one frame of the main visuals
+   * Depends only on the frame number and the scene, so frames can be
+   * rendered in any order (and in worker threads) with identical results
+   * @param {number} frameNum - Frame index
+   * @param {Object} scene - { style, tempoMap (see tempoMap.js), duration, audioAnalysis, spin,
+   *   groove (swing settings, see groove.js, or null), lyrics (see lyrics.js, or null) };
+   *   plain data is accepted, prepareScene() avoids rebuilding it per frame
+   * @returns {Canvas} Finished frame
+   */
+  renderFrame(frameNum, scene) {
+    const { style, duration, audioAnalysis, spin } = scene;
+    const time = frameNum / this.fps;
+    // With swing, off-beat pulses land where the swung notes are played
+    const clockBeat = TempoMap.from(scene.tempoMap).beatAt(time);
+    const beat = scene.groove ? Groove.from(scene.groove).unswing(clockBeat) : clockBeat;
+    const audioFrame = audioAnalysis ? this._getAudioFrame(audioAnalysis, spin, frameNum) : null;
+    const lyrics = scene.lyrics ? Lyrics.from(scene.lyrics) : null;
+    
+    return this._generateFrame(beat, time, duration, style, audioFrame, lyrics);
+  }
+
+  /**
+   * Encode a finished canvas the way a sink expects ('png' or 'raw' BGRA)
+   */
+  encodeFrame(canvas, format) {
+    return canvas.toBuffer(format === 'png' ? 'image/png' : 'raw');
+  }
+
+  /**
+   * Render the main visuals on a pool of worker threads
+   * The frame range is split into small chunks handed out to idle workers;
+   * finished chunks are written to the sink strictly in frame order. Chunks
+   * in flight are limited to two per worker and to WORKER_BUFFER_BYTES of
+   * frames (sized as raw frames, PNG frames are smaller), so memory use
+   * does not grow with the resolution or the number of workers.
+   */
+  async _renderInWorkers(sink, startFrame, endFrame, scene, jobs, reportProgress) {
+    const frameBytes = this.width * this.height * 4;
+    const chunkFrames = Math.max(1, Math.min(WORKER_CHUNK_FRAMES, Math.floor(WORKER_CHUNK_BYTES / frameBytes)));
+    const chunkCount = Math.ceil((endFrame - startFrame) / chunkFrames);
+    const maxChunksAhead = Math.max(1, Math.min(jobs * 2, Math.floor(WORKER_BUFFER_BYTES / (chunkFrames * frameBytes))));
+    const finished = new Map();
+    const workers = [];
+    let nextChunk = 0;
+    let nextWrite = 0;
+    
+    try {
+      await new Promise((resolve, reject) => {
+        let failed = false;
+        let writing = Promise.resolve();
+        const fail = (error) => {
+          if (!failed) {
+            failed = true;
+            reject(error);
+          }
+        };
+        
+        const dispatch = (worker) => {
+          worker.busy = !failed && nextChunk < chunkCount && nextChunk - nextWrite < maxChunksAhead;
+          if (worker.busy) {
+            const start = startFrame + nextChunk * chunkFrames;
+            worker.postMessage({ chunk: nextChunk, start, end: Math.min(start + chunkFrames, endFrame) });
+            nextChunk++;
+          }
+        };
+        
+        // Write every finished chunk that is next in line, then refill idle workers
+        const writeReady = async () => {
+          while (!failed && finished.has(nextWrite)) {
+            const frames = finished.get(nextWrite);
+            const start = startFrame + nextWrite * chunkFrames;
+            finished.delete(nextWrite);
+            for (let i = 0; i < frames.length; i++) {
+              const frame = frames[i];
+              await sink.writeFrame(start + i, Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength));
+              reportProgress(start + i);
+            }
+            nextWrite++;
+            workers.filter(worker => !worker.busy).forEach(dispatch);
+          }
+          if (nextWrite === chunkCount) {
+            resolve();
+          }
+        };
+        
+        for (let i = 0; i < jobs; i++) {
+          const worker = new Worker(path.join(__dirname, 'frameWorker.js'), {
+            workerData: {
+              options: { width: this.width, height: this.height, fps: this.fps, layers: this.layers },
+              format: sink.format,
+              scene
+            }
+          });
+          worker.on('message', ({ chunk, frames, error }) => {
+            if (error) {
+              fail(new Error(`Frame worker failed on frames ${startFrame + chunk * chunkFrames}+: ${error}`));
+              return;
+            }
+            finished.set(chunk, frames);
+            dispatch(worker);
+            writing = writing.then(writeReady).catch(fail);
+          });
+          worker.on('error', fail);
+          worker.on('exit', (code) => {
+            if (code !== 0) {
+              fail(new Error(`Frame worker exited with code ${code}`));
+            }
+          });
+          workers.push(worker);
+        }
+        
+        workers.forEach(dispatch);
+      });
+    } finally {
+      await Promise.all(workers.map(worker => worker.terminate()));
+    }
+  }
+
+  /**
+   * Get visual style based on genre preset
    */
   _getVisualStyle(genre) {
-    const styles = {
-      electronic: {
-        colors: ['#00ffff', '#ff00ff', '#ffff00', '#00ff00'],
-        backgroundColor: '#000000',
-        shapeType: 'geometric',
-        particleCount: 50,
-        waveAmplitude: 100
-      },
-      ambient: {
-        colors: ['#4a90e2', '#7b68ee', '#9370db', '#ba55d3'],
-        backgroundColor: '#0a0a1a',
-        shapeType: 'organic',
-        particleCount: 30,
-        waveAmplitude: 150
-      },
-      hiphop: {
-        colors: ['#ff4500', '#ffa500', '#ffff00', '#ff6347'],
-        backgroundColor: '#1a1a1a',
-        shapeType: 'sharp',
-        particleCount: 40,
-        waveAmplitude: 80
-      },
-      pop: {
-        colors: ['#ff1493', '#ff69b4', '#ffc0cb', '#ffb6c1'],
-        backgroundColor: '#ffffff',
-        shapeType: 'round',
-        particleCount: 60,
-        waveAmplitude: 120
-      },
-      techno: {
-        colors: ['#ff0000', '#00ff00', '#0000ff', '#ffffff'],
-        backgroundColor: '#000000',
-        shapeType: 'geometric',
-        particleCount: 70,
-        waveAmplitude: 90
-      }
-    };
+    return { ...this.genreRegistry.getVisualStyle(genre) };
+  }
+
+  /**
+   * Integrate loudness over time into a rotation amount, so patterns spin
+   * faster while the track is loud and drift when it is quiet (measured in
+   * beats, so the spin also follows tempo changes)
+   */
+  _accumulateSpin(audioAnalysis, tempoMap) {
+    const spin = new Float64Array(audioAnalysis.frameCount);
+    let total = 0;
+    
+    for (let i = 0; i < spin.length; i++) {
+      spin[i] = total;
+      const beatsPerFrame = tempoMap.tempoAt(i / audioAnalysis.fps) / 60 / audioAnalysis.fps;
+      total += (0.25 + audioAnalysis.rms[i] * 1.5 + audioAnalysis.onset[i]) * beatsPerFrame;
+    }
     
-    return styles[genre] || styles.electronic;
+    return spin;
+  }
+
+  /**
+   * Audio features for one frame (clamped to the analyzed range)
+   */
+  _getAudioFrame(audioAnalysis, spin, frameNum) {
+    const index = Math.min(frameNum, audioAnalysis.frameCount - 1);
+    if (index < 0) {
+      return null;
+    }
+    
+    return {
+      bands: audioAnalysis.bands[index],
+      rms: audioAnalysis.rms[index],
+      onset: audioAnalysis.onset[index],
+      spin: spin[index]
+    };
   }
 
   /**
    * Generate a single frame
    */
-  async _generateFrame(frameNum, beat, time, duration, style, outputDir) {
+  _generateFrame(beat, time, duration, style, audioFrame = null, lyrics = null) {
     const canvas = createCanvas(this.width, this.height);
     const ctx = canvas.getContext('2d');
     
@@ -168,104 +415,208 @@ class VisualGenerator {
     ctx.fillStyle = style.backgroundColor;
     ctx.fillRect(0, 0, this.width, this.height);
     
-    // Animated elements synchronized to beat
-    const intensity = Math.sin(beat * Math.PI) * 0.5 + 0.5;
+    // Animated elements follow the measured loudness, or the beat when there is no analysis
+    const intensity = audioFrame ? audioFrame.rms : Math.sin(beat * Math.PI) * 0.5 + 0.5;
     
-    // Draw visualizer bars (waveform simulation)
-    this._drawVisualizer(ctx, beat, intensity, style);
+    // Draw visualizer bars
+    if (this.layers.includes('visualizer')) {
+      this._drawVisualizer(ctx, beat, intensity, style, audioFrame);
+    }
     
     // Draw particles
-    this._drawParticles(ctx, time, beat, style);
+    if (this.layers.includes('particles')) {
+      this._drawParticles(ctx, time, beat, style, audioFrame);
+    }
     
     // Draw geometric patterns
-    this._drawGeometricPatterns(ctx, beat, style);
+    if (this.layers.includes('geometry')) {
+      this._drawGeometricPatterns(ctx, beat, style, audioFrame);
+    }
+    
+    // Draw the current lyric line on top
+    if (lyrics && this.layers.includes('lyrics')) {
+      this._drawLyrics(ctx, time, lyrics, style);
+    }
     
-    // Save frame
-    const paddedFrameNum = String(frameNum).padStart(6, '0');
-    const framePath = path.join(outputDir, `frame_${paddedFrameNum}.png`);
+    return canvas;
+  }
+
+  /**
+   * Everything about a card that stays the same from frame to frame: the
+   * template merged with the card's overrides, colors filled in from the
+   * genre and the text blocks from top to bottom; animated backgrounds
+   * draw from the run seed, like the main visuals
+   */
+  _cardScene(kind, genre, card, seed = 0) {
+    const template = CardTemplates.get(card.template || undefined);
+    const baseStyle = this._getVisualStyle(genre);
+    const random = new SeededRandom(seed).fork(`card:${kind}`);
+    const colors = {
+      text: '#ffffff',
+      accent: baseStyle.colors[0],
+      background: baseStyle.backgroundColor,
+      ...template.colors,
+      ...card.colors
+    };
+    const font = card.font || null;
+    const defaults = DEFAULT_CARD_TEXT[kind](genre);
+    const title = card.title || defaults.title;
+    const subtitle = card.subtitle !== undefined ? card.subtitle : defaults.subtitle;
+    const blocks = [
+      { text: card.artist, size: 56, color: colors.accent, font, maxLines: 1 },
+      { text: title, size: CARD_TITLE_SIZES[kind], weight: 'bold', color: colors.text, font: card.titleFont || font, maxLines: 3 },
+      { text: subtitle, size: 48, color: colors.text, font, maxLines: 2 },
+      { text: card.cta, size: 44, weight: 'bold', color: colors.accent, font, maxLines: 2 }
+    ].filter(block => block.text);
     
-    const buffer = canvas.toBuffer('image/png');
-    fs.writeFileSync(framePath, buffer);
+    return {
+      kind,
+      layout: template.layout,
+      background: card.background || template.background,
+      colors,
+      blocks,
+      tempo: this.genreRegistry.getMusicTemplate(genre).tempo,
+      style: {
+        ...baseStyle,
+        particleOffsets: Array.from({ length: baseStyle.particleCount }, () => random.float(0, Math.PI * 2))
+      }
+    };
   }
 
   /**
-   * Generate intro frame
+   * Draw one frame of an intro or outro card
+   * @param {number} progress - Position within the card (0-1)
+   * @param {number} time - Seconds since the card started
+   * @param {number} duration - Card length in seconds
+   * @param {Object} scene - Result of _cardScene()
    */
-  async _generateIntroFrame(frameNum, progress, genre, outputDir) {
+  _generateCardFrame(progress, time, duration, scene) {
     const canvas = createCanvas(this.width, this.height);
     const ctx = canvas.getContext('2d');
+    const { colors } = scene;
+    
+    if (scene.background === 'genre') {
+      ctx.drawImage(this._generateFrame(time * scene.tempo / 60, time, duration, scene.style), 0, 0);
+      ctx.fillStyle = `rgba(0, 0, 0, ${CARD_DIMMING})`;
+      ctx.fillRect(0, 0, this.width, this.height);
+    } else if (scene.background === 'gradient') {
+      const gradient = ctx.createLinearGradient(0, 0, 0, this.height);
+      gradient.addColorStop(0, colors.background);
+      gradient.addColorStop(1, colors.accent);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, this.width, this.height);
+      ctx.fillStyle = `rgba(0, 0, 0, ${CARD_DIMMING})`;
+      ctx.fillRect(0, 0, this.width, this.height);
+    } else {
+      ctx.fillStyle = colors.background;
+      ctx.fillRect(0, 0, this.width, this.height);
+    }
     
-    // Black background
-    ctx.fillStyle = '#000000';
-    ctx.fillRect(0, 0, this.width, this.height);
-    
-    // Fade in effect
-    const opacity = Math.min(progress * 2, 1);
-    
-    // Title text
-    ctx.save();
-    ctx.globalAlpha = opacity;
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 120px Arial';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    
-    const title = `${genre.toUpperCase()} MUSIC VIDEO`;
-    ctx.fillText(title, this.width / 2, this.height / 2);
-    
-    // Subtitle
-    ctx.font = '48px Arial';
-    ctx.fillText('Generated by AI', this.width / 2, this.height / 2 + 100);
-    ctx.restore();
+    this._drawCardText(ctx, scene);
     
-    // Save frame
-    const paddedFrameNum = String(frameNum).padStart(6, '0');
-    const framePath = path.join(outputDir, `intro_${paddedFrameNum}.png`);
+    // Intros fade in from black, outros fade out to black
+    const opacity = scene.kind === 'intro' ? Math.min(progress * 2, 1) : Math.max(1 - progress * 2, 0);
+    if (opacity < 1) {
+      ctx.fillStyle = `rgba(0, 0, 0, ${1 - opacity})`;
+      ctx.fillRect(0, 0, this.width, this.height);
+    }
     
-    const buffer = canvas.toBuffer('image/png');
-    fs.writeFileSync(framePath, buffer);
+    return canvas;
   }
 
   /**
-   * Generate outro frame
+   * Draw a card's text blocks as one stack, centered or in the lower third
+   * Blocks wrap to the available width, so narrow formats get more lines
    */
-  async _generateOutroFrame(frameNum, progress, genre, outputDir) {
-    const canvas = createCanvas(this.width, this.height);
-    const ctx = canvas.getContext('2d');
-    
-    // Black background
-    ctx.fillStyle = '#000000';
-    ctx.fillRect(0, 0, this.width, this.height);
+  _drawCardText(ctx, scene) {
+    const lowerThird = scene.layout === 'lower-third';
+    const margin = this.width * (lowerThird ? 0.08 : 0.05);
+    const maxWidth = this.width - 2 * margin;
+    const gap = 24 * this.scale;
     
-    // Fade out effect
-    const opacity = Math.max(1 - progress * 2, 0);
+    const laidOut = scene.blocks.map(block => ({ ...block, ...this._layoutText(ctx, block.text, { ...block, maxWidth }) }));
+    const height = laidOut.reduce((sum, block) => sum + block.lines.length * block.lineHeight, 0)
+      + gap * Math.max(0, laidOut.length - 1);
+    let y = lowerThird ? this.height * 0.88 - height : (this.height - height) / 2;
     
-    // Credits text
     ctx.save();
-    ctx.globalAlpha = opacity;
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 80px Arial';
-    ctx.textAlign = 'center';
+    if (lowerThird && laidOut.length > 0) {
+      ctx.fillStyle = scene.colors.accent;
+      ctx.fillRect(margin - 28 * this.scale, y, 8 * this.scale, height);
+    }
+    ctx.textAlign = lowerThird ? 'left' : 'center';
     ctx.textBaseline = 'middle';
-    
-    ctx.fillText('THANK YOU', this.width / 2, this.height / 2 - 50);
-    
-    ctx.font = '48px Arial';
-    ctx.fillText('FOR WATCHING', this.width / 2, this.height / 2 + 50);
+    const x = lowerThird ? margin : this.width / 2;
+    
+    laidOut.forEach(block => {
+      ctx.font = block.font;
+      ctx.fillStyle = block.color;
+      block.lines.forEach(line => {
+        ctx.fillText(line, x, y + block.lineHeight / 2);
+        y += block.lineHeight;
+      });
+      y += gap;
+    });
     ctx.restore();
-    
-    // Save frame
-    const paddedFrameNum = String(frameNum).padStart(6, '0');
-    const framePath = path.join(outputDir, `outro_${paddedFrameNum}.png`);
-    
-    const buffer = canvas.toBuffer('image/png');
-    fs.writeFileSync(framePath, buffer);
+  }
+
+  /**
+   * Wrap text to a width, shrinking the font until it fits in maxLines lines
+   * @param {Object} options - { size (pixels at a 1080-pixel short side), weight, font (file), maxWidth, maxLines }
+   * @returns {Object} { lines, font (CSS font string), lineHeight }
+   */
+  _layoutText(ctx, text, { size, weight = '', font = null, maxWidth, maxLines }) {
+    let fontSize = Math.round(size * this.scale);
+    for (;;) {
+      const css = this._cssFont(fontSize, weight, font);
+      ctx.font = css;
+      const lines = this._wrapText(ctx, text, maxWidth);
+      const widest = Math.max(...lines.map(line => ctx.measureText(line).width));
+      if ((lines.length <= maxLines && widest <= maxWidth) || fontSize <= MIN_FONT_SIZE) {
+        return { lines, font: css, lineHeight: fontSize * LINE_HEIGHT };
+      }
+      fontSize = Math.max(MIN_FONT_SIZE, Math.floor(fontSize * 0.9));
+    }
+  }
+
+  /**
+   * Break text into lines no wider than maxWidth at spaces (and at explicit
+   * line breaks); a single word wider than maxWidth gets a line of its own
+   */
+  _wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  /**
+   * CSS font string: a registered font file's family, or Arial with the
+   * given weight (font files carry their own weight)
+   */
+  _cssFont(size, weight, font) {
+    if (font) {
+      return `${size}px "${VisualGenerator.fontFamily(font)}"`;
+    }
+    return `${weight ? `${weight} ` : ''}${size}px Arial`;
   }
 
   /**
    * Draw audio visualizer bars
+   * Uses the analyzed spectrum when available, otherwise simulates one from the beat
    */
-  _drawVisualizer(ctx, beat, intensity, style) {
+  _drawVisualizer(ctx, beat, intensity, style, audioFrame = null) {
     const barCount = 64;
     const barWidth = this.width / barCount;
     const centerY = this.height / 2;
@@ -273,9 +624,15 @@ class VisualGenerator {
     ctx.save();
     
     for (let i = 0; i < barCount; i++) {
-      const frequency = i / barCount;
-      const phase = beat + frequency * 4;
-      const height = (Math.sin(phase * Math.PI) * 0.5 + 0.5) * style.waveAmplitude * intensity;
+      let height;
+      if (audioFrame) {
+        const band = audioFrame.bands[Math.floor((i / barCount) * audioFrame.bands.length)];
+        height = band * style.waveAmplitude * this.scale;
+      } else {
+        const frequency = i / barCount;
+        const phase = beat + frequency * 4;
+        height = (Math.sin(phase * Math.PI) * 0.5 + 0.5) * style.waveAmplitude * intensity * this.scale;
+      }
       
       const colorIndex = Math.floor((i / barCount) * style.colors.length);
       ctx.fillStyle = style.colors[colorIndex];
@@ -283,7 +640,7 @@ class VisualGenerator {
       const x = i * barWidth;
       const h = height * 2;
       
-      ctx.fillRect(x, centerY - h, barWidth - 2, h * 2);
+      ctx.fillRect(x, centerY - h, Math.max(1, barWidth - 2 * this.scale), h * 2);
     }
     
     ctx.restore();
@@ -292,17 +649,20 @@ class VisualGenerator {
   /**
    * Draw animated particles
    */
-  _drawParticles(ctx, time, beat, style) {
+  _drawParticles(ctx, time, beat, style, audioFrame = null) {
     ctx.save();
     
     for (let i = 0; i < style.particleCount; i++) {
+      const offset = style.particleOffsets ? style.particleOffsets[i] : 0;
       const angle = (i / style.particleCount) * Math.PI * 2 + time * 0.5;
-      const radius = 300 + Math.sin(beat + i) * 100;
+      const radius = (300 + Math.sin(beat + i + offset) * 100) * this.scale;
       
       const x = this.width / 2 + Math.cos(angle) * radius;
       const y = this.height / 2 + Math.sin(angle) * radius;
       
-      const size = 5 + Math.sin(beat * 2 + i) * 3;
+      const size = (audioFrame
+        ? 3 + audioFrame.rms * 6 + audioFrame.onset * 6 + Math.sin(beat * 2 + i) * 1.5
+        : 5 + Math.sin(beat * 2 + i) * 3) * this.scale;
       
       ctx.fillStyle = style.colors[i % style.colors.length];
       ctx.globalAlpha = 0.6;
@@ -318,12 +678,12 @@ class VisualGenerator {
   /**
    * Draw geometric patterns
    */
-  _drawGeometricPatterns(ctx, beat, style) {
+  _drawGeometricPatterns(ctx, beat, style, audioFrame = null) {
     ctx.save();
     ctx.translate(this.width / 2, this.height / 2);
     
     const rotationSpeed = 0.5;
-    const rotation = beat * rotationSpeed;
+    const rotation = (audioFrame ? audioFrame.spin : beat) * rotationSpeed;
     
     // Draw rotating shapes
     for (let i = 0; i < 3; i++) {
@@ -331,10 +691,10 @@ class VisualGenerator {
       ctx.rotate(rotation + (i * Math.PI * 2 / 3));
       
       ctx.strokeStyle = style.colors[i % style.colors.length];
-      ctx.lineWidth = 3;
+      ctx.lineWidth = 3 * this.scale;
       ctx.globalAlpha = 0.4;
       
-      const size = 150 + i * 50;
+      const size = (150 + i * 50) * this.scale;
       
       ctx.beginPath();
       if (style.shapeType === 'geometric') {
@@ -358,6 +718,57 @@ class VisualGenerator {
     
     ctx.restore();
   }
+
+  /**
+   * Draw the lyric line showing at a time in the lower part of the frame
+   * Lines fade and rise in and fade out; LRC word timestamps sweep the
+   * genre's accent color across the words as they are sung (karaoke).
+   */
+  _drawLyrics(ctx, time, lyrics, style) {
+    const index = lyrics.indexAt(time);
+    if (index === -1) {
+      return;
+    }
+    const line = lyrics.lines[index];
+    const fadeIn = Math.min(1, (time - line.start) / LYRIC_FADE_SECONDS);
+    const fadeOut = Math.min(1, (line.end - time) / LYRIC_FADE_SECONDS);
+    
+    const layout = this._layoutText(ctx, line.text, { size: 64, weight: 'bold', maxWidth: this.width * 0.9, maxLines: 3 });
+    const top = this.height * 0.8 - (layout.lines.length * layout.lineHeight) / 2 + (1 - fadeIn) * LYRIC_RISE * this.scale;
+    const sung = line.words ? lyrics.sungLength(line, time) : 0;
+    
+    ctx.save();
+    ctx.globalAlpha = Math.max(0, Math.min(fadeIn, fadeOut));
+    ctx.font = layout.font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = 12 * this.scale;
+    
+    // Wrapped lines are the line's words joined by single spaces, so character offsets carry over
+    let offset = 0;
+    layout.lines.forEach((text, i) => {
+      const x = (this.width - ctx.measureText(text).width) / 2;
+      const y = top + (i + 0.5) * layout.lineHeight;
+      ctx.fillStyle = '#ffffff';
+      ctx.fillText(text, x, y);
+      
+      const chars = Math.min(text.length, sung - offset);
+      if (chars > 0) {
+        const whole = Math.floor(chars);
+        const partial = whole < text.length ? (chars - whole) * ctx.measureText(text[whole]).width : 0;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y - layout.lineHeight / 2, ctx.measureText(text.slice(0, whole)).width + partial, layout.lineHeight);
+        ctx.clip();
+        ctx.fillStyle = style.colors[0];
+        ctx.fillText(text, x, y);
+        ctx.restore();
+      }
+      offset += text.length + 1;
+    });
+    ctx.restore();
+  }
 }
 
 module.exports = VisualGenerator;
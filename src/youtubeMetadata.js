@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * YouTube Metadata Module
+ * Publishing sidecar for a finished video: title, description, suggested
+ * tags and chapters. Chapters follow the video's timeline (the intro card,
+ * each section of the arrangement, the outro card); they are listed in the
+ * description and written as an ffmpeg metadata file for embedding in the
+ * video container.
+ */
+
+const MIN_CHAPTER_SECONDS = 10; // YouTube ignores description chapters when one is shorter
+const MIN_CHAPTERS = 3; // ... or when there are fewer
+const MAX_TAG_CHARACTERS = 500; // YouTube's limit for all tags together
+const HASHTAGS = 3;
+const CARD_CHAPTERS = { intro: 'Title Card', outro: 'End Card' };
+
+class YouTubeMetadata {
+  /**
+   * Chapters of the finished video
+   * Sections that share a name are numbered (Verse 1, Verse 2); music
+   * without a known arrangement (your own audio or a MIDI file) is one chapter.
+   * @param {Object} musicMetadata - { duration, sections }
+   * @param {number} introDuration - Seconds before the music starts (0 without an intro)
+   * @param {number} outroDuration - Seconds after it ends (0 without an outro)
+   * @returns {Object[]} { title, start, end } in seconds on the video's clock
+   */
+  static chapters(musicMetadata, introDuration = 0, outroDuration = 0) {
+    const { duration } = musicMetadata;
+    const sections = (musicMetadata.sections || []).filter(section => section.start < duration);
+    const totals = {};
+    sections.forEach(section => {
+      totals[section.name] = (totals[section.name] || 0) + 1;
+    });
+
+    const seen = {};
+    const music = sections.length > 0
+      ? sections.map((section, i) => {
+        seen[section.name] = (seen[section.name] || 0) + 1;
+        const number = totals[section.name] > 1 ? ` ${seen[section.name]}` : '';
+        // The last section runs to the end of the track (the arrangement rounds down to whole bars)
+        const end = i === sections.length - 1 ? duration : Math.min(section.end, duration);
+        return { title: `${titleCase(section.name)}${number}`, start: introDuration + section.start, end: introDuration + end };
+      })
+      : [{ title: 'Music', start: introDuration, end: introDuration + duration }];
+
+    return [
+      ...(introDuration > 0 ? [{ title: CARD_CHAPTERS.intro, start: 0, end: introDuration }] : []),
+      ...music,
+      ...(outroDuration > 0 ? [{ title: CARD_CHAPTERS.outro, start: introDuration + duration, end: introDuration + duration + outroDuration }] : [])
+    ];
+  }
+
+  /**
+   * Chapters as YouTube accepts them in a description: the first at 0:00
+   * and none shorter than 10 seconds. A short chapter is merged into the
+   * one after it (the last one into the one before).
+   * @returns {Object[]} { title, start, end }, empty when fewer than three remain
+   */
+  static descriptionChapters(chapters) {
+    const merged = [];
+    chapters.forEach(chapter => {
+      const last = merged[merged.length - 1];
+      if (last && last.end - last.start < MIN_CHAPTER_SECONDS) {
+        merged[merged.length - 1] = { ...chapter, start: last.start };
+      } else {
+        merged.push({ ...chapter });
+      }
+    });
+    const last = merged[merged.length - 1];
+    if (merged.length > 1 && last.end - last.start < MIN_CHAPTER_SECONDS) {
+      merged.pop();
+      merged[merged.length - 1].end = last.end;
+    }
+    return merged.length >= MIN_CHAPTERS ? merged : [];
+  }
+
+  /**
+   * Assemble the sidecar
+   * @param {Object} info
+   * @param {string} info.genre - Genre name
+   * @param {Object} info.preset - Genre preset (description and tags are used)
+   * @param {Object} info.music - Music metadata (tempo, key, mode, duration, seed, sections)
+   * @param {Object} info.intro - Intro card settings (title, artist; null without an intro)
+   * @param {Object[]} info.chapters - Result of chapters()
+   * @param {Object} info.files - Output files (profile or kind to file name)
+   * @returns {Object} { title, artist, genre, tempo, key, mode, duration, seed, tags, chapters, files, description }
+   */
+  static build({ genre, preset = {}, music, intro = null, chapters, files = {} }) {
+    const artist = (intro && intro.artist) || null;
+    const trackTitle = (intro && intro.title) || `${titleCase(genre)} Music Video`;
+    const metadata = {
+      title: artist ? `${artist} - ${trackTitle}` : trackTitle,
+      artist,
+      genre,
+      tempo: Math.round(music.tempo),
+      key: music.key || null,
+      mode: music.mode || null,
+      duration: chapters.length > 0 ? chapters[chapters.length - 1].end : music.duration,
+      seed: music.seed,
+      tags: YouTubeMetadata.tags(genre, preset.tags || [], music, artist),
+      chapters: chapters.map(chapter => ({ ...chapter, timestamp: formatTimestamp(chapter.start) })),
+      files
+    };
+    metadata.description = YouTubeMetadata.description(metadata, preset.description);
+    return metadata;
+  }
+
+  /**
+   * Suggested tags: the preset's, then generic ones from the genre, key and
+   * tempo, without duplicates and within YouTube's 500-character limit
+   */
+  static tags(genre, presetTags, music, artist = null) {
+    const candidates = [
+      ...(artist ? [artist] : []),
+      ...presetTags,
+      genre,
+      `${genre} music`,
+      ...(music.key && music.mode ? [`${music.key} ${music.mode}`] : []),
+      `${Math.round(music.tempo)} bpm`,
+      'music video',
+      'visualizer',
+      'instrumental'
+    ];
+    const tags = [];
+    let length = 0;
+    candidates.forEach(candidate => {
+      const tag = candidate.trim();
+      const taken = tags.some(existing => existing.toLowerCase() === tag.toLowerCase());
+      if (tag && !taken && length + tag.length + (tags.length > 0 ? 1 : 0) <= MAX_TAG_CHARACTERS) {
+        length += tag.length + (tags.length > 0 ? 1 : 0);
+        tags.push(tag);
+      }
+    });
+    return tags;
+  }
+
+  /**
+   * Plain-text YouTube description
+   */
+  static description(metadata, genreDescription = '') {
+    const chapters = YouTubeMetadata.descriptionChapters(metadata.chapters);
+    const details = [
+      `Genre: ${titleCase(metadata.genre)}`,
+      `Tempo: ${metadata.tempo} BPM`,
+      ...(metadata.key ? [`Key: ${metadata.key}${metadata.mode ? ` ${metadata.mode}` : ''}`] : []),
+      `Duration: ${formatTimestamp(metadata.duration)}`,
+      `Seed: ${metadata.seed}`
+    ];
+    const blocks = [
+      metadata.title,
+      ...(genreDescription ? [`${genreDescription}.`] : []),
+      details.join('\n'),
+      ...(chapters.length > 0
+        ? [['Chapters:', ...chapters.map(chapter => `${formatTimestamp(chapter.start)} ${chapter.title}`)].join('\n')]
+        : []),
+      // Hashtags from the genre's tags (the artist is in the title already)
+      [...new Set(metadata.tags
+        .filter(tag => tag !== metadata.artist)
+        .map(tag => `#${tag.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase()}`))]
+        .slice(0, HASHTAGS)
+        .join(' ')
+    ];
+    return `${blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * ffmpeg metadata file (FFMETADATA1) with the title, artist, genre and
+   * chapters, for -map_metadata / -map_chapters
+   */
+  static ffmetadata(metadata) {
+    const lines = [
+      ';FFMETADATA1',
+      `title=${escapeMetadata(metadata.title)}`,
+      ...(metadata.artist ? [`artist=${escapeMetadata(metadata.artist)}`] : []),
+      `genre=${escapeMetadata(metadata.genre)}`
+    ];
+    metadata.chapters.forEach(chapter => {
+      lines.push(
+        '',
+        '[CHAPTER]',
+        'TIMEBASE=1/1000',
+        `START=${Math.round(chapter.start * 1000)}`,
+        `END=${Math.round(chapter.end * 1000)}`,
+        `title=${escapeMetadata(chapter.title)}`
+      );
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Write the sidecar next to a video: <name>.youtube.json and <name>.description.txt
+   * @param {string} videoPath - The video the sidecar describes
+   * @returns {Object} { json, description } file paths
+   */
+  static write(metadata, videoPath) {
+    const parsed = path.parse(videoPath);
+    const paths = {
+      json: path.join(parsed.dir, `${parsed.name}.youtube.json`),
+      description: path.join(parsed.dir, `${parsed.name}.description.txt`)
+    };
+    fs.writeFileSync(paths.json, JSON.stringify(metadata, null, 2) + '\n');
+    fs.writeFileSync(paths.description, metadata.description);
+    return paths;
+  }
+}
+
+/**
+ * 'breakdown' -> 'Breakdown', 'hiphop' -> 'Hiphop'
+ */
+function titleCase(text) {
+  return String(text).replace(/(^|[\s_-])(\p{L})/gu, (match, separator, letter) => `${separator === '_' ? ' ' : separator}${letter.toUpperCase()}`);
+}
+
+/**
+ * 75 -> '1:15', 3725 -> '1:02:05'
+ */
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const pad = value => String(value).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(total % 60)}`
+    : `${minutes}:${pad(total % 60)}`;
+}
+
+/**
+ * Escape the characters FFMETADATA gives a meaning to
+ */
+function escapeMetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, character => `\\${character}`);
+}
+
+YouTubeMetadata.MIN_CHAPTER_SECONDS = MIN_CHAPTER_SECONDS;
+
+module.exports = YouTubeMetadata;